@@ -0,0 +1,1078 @@
+// ajax.js
+// Declarative AJAX: the request/swap machinery behind the x-get / x-post /
+// x-put / x-patch / x-delete directives (see FetchDirective in directives.js).
+import { evaluateExpression, _reactive, parseDuration } from './expression.js';
+import { parseComponent, parseFragment } from './parser.js';
+import { attachLifecycleHooks, callOnMountRecursive, replaceContent, safeAppendElement, safeRemoveElement } from './lifecycle.js';
+import { createReactiveRange } from './components.js';
+import { createRoot } from './state.js';
+import { navigate, commitFragmentUrl } from './navigation.js';
+
+export const AJAX_VERBS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Attributes read by the AJAX directive; they configure a request and are
+ * kept on the rendered element.
+ */
+export const AJAX_ATTRIBUTES = [
+    ...AJAX_VERBS.map(verb => `x-${verb}`),
+    'x-swap', 'x-select', 'x-trigger', 'x-push-url', 'x-replace-url', 'x-target',
+    'x-headers', 'x-vals', 'x-include', 'x-encoding', 'x-confirm',
+    'x-indicator', 'x-disabled-elt', 'x-error-target', 'x-sse', 'x-sse-event', 'x-ws',
+    'x-sync', 'x-cache', 'x-retry'
+];
+
+/** Class added to the element (or its `x-indicator` elements) while a request is in flight. */
+export const REQUEST_CLASS = 'basedom-request';
+
+/**
+ * Resolves a comma-separated selector list to elements; `this` is the issuing element.
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {string} selectors
+ * @returns {Array<Element>}
+ */
+function resolveElements(el, selectors) {
+    const elements = [];
+    selectors.split(',').map(selector => selector.trim()).filter(Boolean).forEach(selector => {
+        if (selector === 'this') elements.push(el);
+        else elements.push(...document.querySelectorAll(selector));
+    });
+    return elements;
+}
+
+// --- Request Building ---
+
+/**
+ * Evaluates an `x-headers` / `x-vals` value: JSON, or an expression in the
+ * component context that returns an object.
+ * @param {string} value - The attribute value.
+ * @param {object} context - The component context.
+ * @returns {object}
+ */
+function evaluateObjectAttribute(value, context) {
+    if (!value || !value.trim()) return {};
+    try {
+        return JSON.parse(value);
+    } catch {
+        const result = _reactive(evaluateExpression(value, context));
+        return result && typeof result === 'object' ? result : {};
+    }
+}
+
+/**
+ * Adds the values of a form control, form or container of controls to `params`.
+ * @param {Element} element
+ * @param {Array<Array>} params - `[name, value]` pairs.
+ */
+function collectValues(element, params) {
+    if (element instanceof HTMLFormElement) {
+        for (const entry of new FormData(element)) params.push(entry);
+        return;
+    }
+    const controls = element.matches('input, select, textarea') ? [element] : element.querySelectorAll('input, select, textarea');
+    controls.forEach(control => {
+        if (!control.name || control.disabled) return;
+        if ((control.type === 'checkbox' || control.type === 'radio') && !control.checked) return;
+        if (control.type === 'file') {
+            Array.from(control.files || []).forEach(file => params.push([control.name, file]));
+        } else if (control instanceof HTMLSelectElement && control.multiple) {
+            Array.from(control.selectedOptions).forEach(option => params.push([control.name, option.value]));
+        } else {
+            params.push([control.name, control.value]);
+        }
+    });
+}
+
+/**
+ * Collects the request parameters for an element:
+ * - a form sends its fields, and a named control sends its own value
+ * - non-GET requests from inside a form also send the enclosing form
+ * - `x-include` adds the values of other elements (`this` is the element itself)
+ * - `x-vals` adds extra values
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ * @returns {Array<Array>} `[name, value]` pairs.
+ */
+export function collectParams(el, config, context) {
+    const params = [];
+    if (el instanceof HTMLFormElement || el.matches('input, select, textarea')) {
+        collectValues(el, params);
+    } else if (config.method !== 'GET' && el.closest('form')) {
+        collectValues(el.closest('form'), params);
+    }
+    if (config.include) {
+        resolveElements(el, config.include).forEach(element => collectValues(element, params));
+    }
+    const vals = evaluateObjectAttribute(config.vals, context);
+    for (const [name, value] of Object.entries(vals)) {
+        params.push([name, typeof value === 'object' && value !== null && !(value instanceof Blob) ? JSON.stringify(value) : value]);
+    }
+    return params;
+}
+
+/**
+ * Converts params to a plain object; repeated names become arrays.
+ * @param {Array<Array>} params
+ * @returns {object}
+ */
+function paramsToObject(params) {
+    const data = {};
+    params.forEach(([name, value]) => {
+        if (name in data) data[name] = [].concat(data[name], value);
+        else data[name] = value;
+    });
+    return data;
+}
+
+/**
+ * Encodes the params as a request body according to `x-encoding`:
+ * `json` / `application/json`, `urlencoded` / `application/x-www-form-urlencoded`,
+ * or `multipart/form-data` (the default).
+ * @param {Array<Array>} params
+ * @param {string} [encoding]
+ * @returns {{body: *, contentType: string|null}}
+ */
+function encodeBody(params, encoding = '') {
+    const type = encoding.toLowerCase();
+    if (type === 'json' || type === 'application/json') {
+        return { body: JSON.stringify(paramsToObject(params)), contentType: 'application/json' };
+    }
+    if (type === 'urlencoded' || type === 'application/x-www-form-urlencoded') {
+        const search = new URLSearchParams();
+        params.forEach(([name, value]) => search.append(name, value));
+        return { body: search, contentType: null };
+    }
+    // multipart/form-data; the browser sets the boundary header
+    const formData = new FormData();
+    params.forEach(([name, value]) => formData.append(name, value));
+    return { body: formData, contentType: null };
+}
+
+/**
+ * Builds the URL and fetch options for a request. GET and DELETE send their
+ * params in the query string; other verbs send a body.
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ * @returns {{url: string, options: RequestInit}}
+ */
+export function buildRequest(el, config, context) {
+    const params = collectParams(el, config, context);
+    const headers = { 'X-BaseDOM-Request': 'true', ...evaluateObjectAttribute(config.headers, context) };
+    const options = { method: config.method, headers };
+    let url = config.url;
+    if (config.method === 'GET' || config.method === 'DELETE') {
+        if (params.length) {
+            const query = new URLSearchParams();
+            params.forEach(([name, value]) => { if (!(value instanceof Blob)) query.append(name, value); });
+            url += (url.includes('?') ? '&' : '?') + query.toString();
+        }
+    } else {
+        const { body, contentType } = encodeBody(params, config.encoding);
+        options.body = body;
+        if (contentType) headers['Content-Type'] = contentType;
+    }
+    return { url, options };
+}
+
+// --- Swapping ---
+
+/**
+ * Builds the context a response is rendered in: the issuing component's values,
+ * as a fresh object without its instance internals.
+ * @param {object} context - The component context of the issuing element.
+ * @returns {object}
+ */
+function createChildContext(context) {
+    const { __lastProps, ...inherited } = context || {};
+    return inherited;
+}
+
+/**
+ * Converts rendered content to DOM nodes. Reactive parts (a top-level `x-for`,
+ * `x-if` or `{{ }}` text) become a live range ending in a marker, like
+ * reactive children of an element.
+ * @param {*} value - An element, text, reactive function or array of them.
+ * @param {Array<Node>} [nodes=[]] - Collects the resulting nodes.
+ * @returns {Array<Node>}
+ */
+function toSwapNodes(value, nodes = []) {
+    if (value === null || value === undefined) return nodes;
+    if (Array.isArray(value)) value.forEach(item => toSwapNodes(item, nodes));
+    else if (typeof value === 'function') nodes.push(...createReactiveRange(value).fragment.childNodes);
+    else if (value instanceof DocumentFragment) nodes.push(...value.childNodes);
+    else if (value instanceof Node) nodes.push(value);
+    else nodes.push(document.createTextNode(String(value)));
+    return nodes;
+}
+
+/**
+ * Renders a response into live nodes. Responses that look like BaseDOM
+ * components (`<template>` / `<script>`) are parsed as one; other HTML is
+ * parsed like a template, so its `x-*` attributes, `@` events and `{{ }}`
+ * bindings work against the child context.
+ * The effects and computeds created while rendering belong to a root that
+ * `insertSwapped` ties to the container of the nodes.
+ * @param {string} html
+ * @param {object} context - The component context of the issuing element.
+ * @returns {Promise<{nodes: Array<Node>, dispose: Function}>}
+ */
+async function renderResponse(html, context) {
+    const childContext = createChildContext(context);
+    const render = (fn) => createRoot(dispose => ({ nodes: toSwapNodes(fn()), dispose }));
+    if (html.includes('<template>') || html.includes('<script>')) {
+        try {
+            const componentFn = await parseComponent(html);
+            return render(() => componentFn(childContext));
+        } catch (componentError) {
+            console.warn('Failed to parse response as BaseDOM component, falling back to raw HTML:', componentError);
+        }
+    }
+    return render(() => parseFragment(html, childContext));
+}
+
+// Container element -> disposers of the swapped-in content living in it
+const swapRoots = new WeakMap();
+
+/**
+ * Keeps swapped-in content alive until its container unmounts (or a later
+ * innerHTML swap replaces it, see `disposeSwapped`).
+ * @param {HTMLElement} container
+ * @param {Function} dispose - Disposes the content's reactive root.
+ */
+function ownSwapped(container, dispose) {
+    let roots = swapRoots.get(container);
+    if (!roots) {
+        swapRoots.set(container, roots = new Set());
+        attachLifecycleHooks(container, { onUnmount: () => disposeSwapped(container) });
+    }
+    roots.add(dispose);
+}
+
+/**
+ * Disposes one piece of swapped-in content before its container unmounts
+ * (e.g. when the history no longer keeps it).
+ * @param {HTMLElement} container
+ * @param {Function} dispose - From `renderResponse`.
+ */
+function releaseSwapped(container, dispose) {
+    swapRoots.get(container)?.delete(dispose);
+    dispose();
+}
+
+/**
+ * Disposes the reactive roots of all content swapped into a container.
+ * @param {HTMLElement} container
+ */
+function disposeSwapped(container) {
+    const roots = swapRoots.get(container);
+    if (!roots) return;
+    roots.forEach(dispose => dispose());
+    roots.clear();
+}
+
+/**
+ * Inserts nodes before `reference` and mounts them.
+ * @param {Node} parent
+ * @param {Array<Node>} nodes
+ * @param {Node|null} reference
+ */
+function insertNodes(parent, nodes, reference) {
+    nodes.forEach(node => {
+        if (reference) {
+            parent.insertBefore(node, reference);
+            callOnMountRecursive(node);
+        } else {
+            safeAppendElement(parent, node);
+        }
+    });
+}
+
+/**
+ * Returns the lowercased swap mode of a request config.
+ * @param {object} config
+ * @returns {string}
+ */
+function swapMode(config) {
+    return (config.swap || 'innerHTML').toLowerCase();
+}
+
+/**
+ * Puts rendered nodes into the DOM according to the swap mode. Replaced content
+ * (the target's children for `innerHTML`, the target for `outerHTML`) is
+ * unmounted and its reactive roots disposed first, unless `keepRemoved` is set
+ * because the history keeps it.
+ * @param {HTMLElement} target
+ * @param {{nodes: Array<Node>, dispose: Function}} rendered - From `renderResponse`.
+ * @param {string} swap - The lowercased swap mode.
+ * @param {boolean} [keepRemoved=false]
+ */
+function insertSwapped(target, { nodes, dispose }, swap, keepRemoved = false) {
+    const sibling = swap === 'outerhtml' || swap === 'beforebegin' || swap === 'afterend';
+    const container = sibling ? target.parentNode : target;
+    if (!container) {
+        dispose();
+        return;
+    }
+    if (swap === 'outerhtml') {
+        insertNodes(container, nodes, target);
+        if (keepRemoved) container.removeChild(target);
+        else safeRemoveElement(target);
+    } else if (swap === 'append' || swap === 'beforeend') {
+        insertNodes(target, nodes, null);
+    } else if (swap === 'prepend' || swap === 'afterbegin') {
+        insertNodes(target, nodes, target.firstChild);
+    } else if (swap === 'beforebegin') {
+        insertNodes(container, nodes, target);
+    } else if (swap === 'afterend') {
+        insertNodes(container, nodes, target.nextSibling);
+    } else {
+        if (keepRemoved) {
+            while (target.firstChild) target.removeChild(target.firstChild);
+        } else {
+            replaceContent(target, null);
+            disposeSwapped(target);
+        }
+        insertNodes(target, nodes, null);
+    }
+    ownSwapped(container, dispose);
+}
+
+/**
+ * Swaps a response into the target as live nodes, keeping their event
+ * listeners, effects and lifecycle hooks.
+ * @param {HTMLElement} target
+ * @param {string} html
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ * @param {boolean} [keepRemoved=false] - Leave replaced content mounted (see `insertSwapped`).
+ * @returns {Promise<{nodes: Array<Node>, dispose: Function}>} The inserted nodes and their disposer.
+ */
+async function swapContent(target, html, config, context, keepRemoved = false) {
+    const swap = swapMode(config);
+    const { html: mainHtml, oob } = extractOobSwaps(html);
+    html = mainHtml;
+
+    // Handle content selection
+    if (config.select) {
+        const temp = document.createElement('div');
+        temp.innerHTML = html;
+        const sel = temp.querySelector(config.select);
+        if (sel) html = swap === 'innerhtml' ? sel.innerHTML : sel.outerHTML;
+    }
+
+    const rendered = await renderResponse(html, context);
+    insertSwapped(target, rendered, swap, keepRemoved);
+    await applyOobSwaps(oob, config, context);
+    return rendered;
+}
+
+// --- Out-of-Band Swaps ---
+
+/**
+ * Splits the top-level elements marked `x-swap-oob` off a response.
+ * `x-swap-oob="true"` replaces the element with the same id (`outerHTML`);
+ * another value is a swap mode, optionally followed by `:<selector>` to choose
+ * the target (e.g. `beforeend:#log`), and the element's children are swapped.
+ * @param {string} html
+ * @returns {{html: string, oob: Array<{element: Element, swap: string, selector: string|null}>}}
+ */
+function extractOobSwaps(html) {
+    if (!html.includes('x-swap-oob')) return { html, oob: [] };
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const oob = [];
+    Array.from(template.content.children).forEach(element => {
+        if (!element.hasAttribute('x-swap-oob')) return;
+        const value = element.getAttribute('x-swap-oob').trim();
+        element.removeAttribute('x-swap-oob');
+        element.remove();
+        if (value === '' || value === 'true') {
+            oob.push({ element, swap: 'outerhtml', selector: null });
+        } else {
+            const separator = value.indexOf(':');
+            oob.push({
+                element,
+                swap: (separator === -1 ? value : value.slice(0, separator)).toLowerCase(),
+                selector: separator === -1 ? null : value.slice(separator + 1).trim()
+            });
+        }
+    });
+    return { html: template.innerHTML, oob };
+}
+
+/**
+ * Applies the out-of-band swaps of a response.
+ * @param {Array<object>} oob - From `extractOobSwaps`.
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ */
+async function applyOobSwaps(oob, config, context) {
+    for (const { element, swap, selector } of oob) {
+        const target = selector ? document.querySelector(selector) : element.id && document.getElementById(element.id);
+        if (!target) {
+            if (window.devWarn) window.devWarn(`[ajax.js] No target for x-swap-oob element "${selector || element.id}"`, element);
+            continue;
+        }
+        const rendered = await renderResponse(swap === 'outerhtml' ? element.outerHTML : element.innerHTML, context);
+        insertSwapped(target, rendered, swap);
+        fireEvent(target.isConnected ? target : document, 'afterSwap', { config, target, oob: true });
+    }
+}
+
+// --- Response Headers ---
+
+/**
+ * Follows an `X-BaseDOM-Redirect` header: same-origin paths go through the
+ * router, other URLs load the page. Navigation errors (e.g. another navigation
+ * still in progress) reject, for the caller to handle.
+ * @param {Response} resp
+ * @returns {Promise<boolean>} True if the response redirected.
+ */
+async function handleRedirect(resp) {
+    const redirect = resp.headers.get('X-BaseDOM-Redirect');
+    if (!redirect) return false;
+    const url = new URL(redirect, location.href);
+    if (url.origin === location.origin) await navigate(url.pathname + url.search + url.hash);
+    else location.href = url.href;
+    return true;
+}
+
+/**
+ * Dispatches the events named in an `X-BaseDOM-Trigger` header on the element:
+ * a comma-separated list of names, or JSON mapping names to event details.
+ * @param {HTMLElement} el - The element that issued the request.
+ * @param {Response} resp
+ */
+function fireResponseTriggers(el, resp) {
+    const header = resp.headers.get('X-BaseDOM-Trigger');
+    if (!header) return;
+    let events;
+    try {
+        events = JSON.parse(header);
+    } catch {
+        events = Object.fromEntries(header.split(',').map(name => name.trim()).filter(Boolean).map(name => [name, null]));
+    }
+    const target = el.isConnected ? el : document;
+    Object.entries(events).forEach(([name, detail]) => {
+        target.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+    });
+}
+
+// --- History ---
+
+/**
+ * Reads `x-push-url` / `x-replace-url`: `true` uses the request URL, another
+ * value is the URL itself, and `false` or no attribute leaves the URL alone.
+ * @param {object} config - The request config.
+ * @param {string} requestUrl
+ * @returns {{url: string, replace: boolean}|null}
+ */
+function resolveHistoryUpdate(config, requestUrl) {
+    const enabled = value => value !== undefined && value !== 'false';
+    const replace = !enabled(config.pushUrl);
+    const value = replace ? config.replaceUrl : config.pushUrl;
+    if (!enabled(value)) return null;
+    return { url: value === 'true' || value === '' ? requestUrl : value, replace };
+}
+
+/**
+ * Returns the element whose children a swap changes: the target for swaps
+ * inside it, its parent for swaps around or replacing it.
+ * @param {HTMLElement} target
+ * @param {string} swap - The lowercased swap mode.
+ * @returns {HTMLElement|null}
+ */
+function historyRegion(target, swap) {
+    return ['outerhtml', 'beforebegin', 'afterend'].includes(swap) ? target.parentElement : target;
+}
+
+// --- Directive Wiring ---
+
+/**
+ * Reads the AJAX config from the attributes of a template node.
+ * @param {Element} node
+ * @returns {object|null} The config, or null if the node makes no request.
+ */
+export function readAjaxConfig(node) {
+    const verb = AJAX_VERBS.find(name => node.hasAttribute(`x-${name}`));
+    if (!verb && !node.hasAttribute('x-sse') && !node.hasAttribute('x-ws')) return null;
+    const attr = name => (node.hasAttribute(name) ? node.getAttribute(name) : undefined);
+    return {
+        method: verb ? verb.toUpperCase() : undefined,
+        url: verb ? attr(`x-${verb}`) : undefined,
+        swap: attr('x-swap'),
+        select: attr('x-select'),
+        trigger: attr('x-trigger'),
+        target: attr('x-target'),
+        pushUrl: attr('x-push-url'),
+        replaceUrl: attr('x-replace-url'),
+        headers: attr('x-headers'),
+        vals: attr('x-vals'),
+        include: attr('x-include'),
+        encoding: attr('x-encoding'),
+        confirm: attr('x-confirm'),
+        indicator: attr('x-indicator'),
+        disabledElt: attr('x-disabled-elt'),
+        errorTarget: attr('x-error-target'),
+        sse: attr('x-sse'),
+        sseEvent: attr('x-sse-event'),
+        ws: attr('x-ws'),
+        sync: attr('x-sync'),
+        cache: attr('x-cache'),
+        retry: attr('x-retry')
+    };
+}
+
+/**
+ * Dispatches a bubbling, cancelable `basedom:<name>` event.
+ * @param {EventTarget} target
+ * @param {string} name - e.g. `beforeRequest`.
+ * @param {object} detail
+ * @returns {boolean} False if a listener called `preventDefault()`.
+ */
+function fireEvent(target, name, detail) {
+    return target.dispatchEvent(new CustomEvent(`basedom:${name}`, { bubbles: true, cancelable: true, detail }));
+}
+
+// Element -> number of in-flight requests using it as an indicator
+const indicatorCounts = new WeakMap();
+// Element -> { count, wasDisabled } for in-flight requests disabling it
+const disabledCounts = new WeakMap();
+
+/**
+ * Marks a request as in flight: adds `REQUEST_CLASS` to the `x-indicator`
+ * elements (or the element itself) and disables the `x-disabled-elt` elements.
+ * Elements are counted, so with overlapping requests they change only when the
+ * first one starts and the last one ends; an element that was already disabled
+ * stays disabled.
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {object} config - The request config.
+ * @returns {Function} Reverts the changes.
+ */
+function startRequestState(el, config) {
+    const indicators = config.indicator ? resolveElements(el, config.indicator) : [el];
+    const disabled = config.disabledElt ? resolveElements(el, config.disabledElt) : [];
+    indicators.forEach(element => {
+        const count = indicatorCounts.get(element) || 0;
+        if (count === 0) element.classList.add(REQUEST_CLASS);
+        indicatorCounts.set(element, count + 1);
+    });
+    disabled.forEach(element => {
+        let entry = disabledCounts.get(element);
+        if (!entry) {
+            disabledCounts.set(element, entry = { count: 0, wasDisabled: !!element.disabled });
+            element.disabled = true;
+        }
+        entry.count++;
+    });
+    return () => {
+        indicators.forEach(element => {
+            const count = indicatorCounts.get(element) - 1;
+            if (count > 0) {
+                indicatorCounts.set(element, count);
+            } else {
+                indicatorCounts.delete(element);
+                element.classList.remove(REQUEST_CLASS);
+            }
+        });
+        disabled.forEach(element => {
+            const entry = disabledCounts.get(element);
+            if (--entry.count > 0) return;
+            disabledCounts.delete(element);
+            if (!entry.wasDisabled) element.disabled = false;
+        });
+    };
+}
+
+/**
+ * Handles a failed request: fires `basedom:responseError` and, unless it is
+ * cancelled, renders the error response into `x-error-target`.
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ * @param {object} detail - The event detail, with `error` and, for HTTP errors, `response` and `html`.
+ */
+async function handleRequestError(el, config, context, detail) {
+    if (!fireEvent(el, 'responseError', detail)) return;
+    const errorTarget = config.errorTarget && document.querySelector(config.errorTarget);
+    if (!errorTarget) {
+        console.error('Fetch trigger error:', detail.error);
+        return;
+    }
+    if (detail.html !== undefined) {
+        await swapContent(errorTarget, detail.html, { swap: 'innerHTML' }, context);
+    } else {
+        errorTarget.textContent = detail.error.message;
+    }
+    fireEvent(errorTarget, 'afterSwap', { ...detail, target: errorTarget });
+}
+
+// --- Request Control ---
+
+const requestInterceptors = [];
+
+/**
+ * Adds a global request interceptor, called before every request as
+ * `interceptor(request)` with `{ elt, config, url, options }`. It can change
+ * `url` and `options` (e.g. add auth headers or CSRF tokens), may be async,
+ * and cancels the request by returning `false`.
+ * @param {Function} interceptor
+ */
+export function addRequestInterceptor(interceptor) {
+    requestInterceptors.push(interceptor);
+}
+
+const responseCache = new Map();
+
+/**
+ * Clears the in-memory response cache used by `x-cache`.
+ */
+export function clearRequestCache() {
+    responseCache.clear();
+}
+
+// Only GET retries by default: other methods may not be safe to send twice
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 300;
+
+/**
+ * Fetches, retrying network failures with exponential backoff
+ * (300ms, 600ms, 1.2s...). HTTP error responses are not retried.
+ * @param {string} url
+ * @param {RequestInit} options
+ * @param {number} retries - How many times to retry.
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(url, options, retries) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            if ((options.signal && options.signal.aborted) || attempt >= retries) throw error;
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Fetches a response, serving GET requests with `x-cache` from the cache
+ * while their entry is fresh.
+ * @param {object} detail - The request detail (`url`, `options`).
+ * @param {object} config - The request config.
+ * @returns {Promise<{resp: Response, html: string}>}
+ */
+async function fetchResponse(detail, config) {
+    const ttl = config.cache && config.method === 'GET' ? parseDuration(config.cache, 0) : 0;
+    const cached = ttl && responseCache.get(detail.url);
+    if (cached && cached.expires > Date.now()) {
+        const { html, status, statusText, headers } = cached;
+        return { resp: new Response(html, { status, statusText, headers }), html };
+    }
+    const defaultRetries = config.method === 'GET' ? DEFAULT_RETRIES : 0;
+    const retries = config.retry !== undefined ? parseInt(config.retry, 10) || 0 : defaultRetries;
+    const resp = await fetchWithRetry(detail.url, detail.options, retries);
+    const html = await resp.text();
+    if (ttl && resp.ok) {
+        responseCache.set(detail.url, { html, status: resp.status, statusText: resp.statusText, headers: resp.headers, expires: Date.now() + ttl });
+    }
+    return { resp, html };
+}
+
+const SYNC_STRATEGIES = ['drop', 'abort', 'replace', 'queue'];
+const syncStates = new WeakMap();
+
+/**
+ * Reads `x-sync`: a strategy, optionally prefixed with the element requests
+ * are synchronized on (`this`, `closest <selector>` or a selector), e.g.
+ * `closest form:abort`. Without it, GET requests use `replace` and other
+ * methods `drop`.
+ * @param {HTMLElement} el
+ * @param {object} config
+ * @returns {{element: Element, strategy: string}}
+ */
+function resolveSync(el, config) {
+    const value = (config.sync || '').trim();
+    const separator = value.lastIndexOf(':');
+    let selector = separator === -1 ? 'this' : value.slice(0, separator).trim();
+    let strategy = separator === -1 ? value : value.slice(separator + 1).trim();
+    if (!SYNC_STRATEGIES.includes(strategy)) {
+        if (strategy && window.devWarn) window.devWarn(`[ajax.js] Unknown x-sync strategy "${strategy}"`, el);
+        strategy = config.method === 'GET' ? 'replace' : 'drop';
+    }
+    let element = el;
+    if (selector.startsWith('closest ')) element = el.closest(selector.slice(8).trim()) || el;
+    else if (selector !== 'this') element = document.querySelector(selector) || el;
+    return { element, strategy };
+}
+
+/**
+ * Sends a request while it holds its sync element, then starts the next queued one.
+ * @param {object} state - The sync element's `{ current, queue }`.
+ * @param {object} request - `{ el, config, context, strategy, controller }`.
+ */
+async function runSynced(state, request) {
+    state.current = request;
+    try {
+        await sendRequest(request);
+    } finally {
+        if (state.current === request) {
+            state.current = null;
+            const next = state.queue.shift();
+            if (next) runSynced(state, next);
+        }
+    }
+}
+
+/**
+ * Issues the request for an element, applying its `x-sync` strategy when a
+ * request on the same sync element is still in flight:
+ * - `drop` - ignore the new request
+ * - `abort` - ignore the new request; the in-flight one is aborted when another element requests
+ * - `replace` - abort the in-flight request and send the new one
+ * - `queue` - send the new request after the in-flight ones
+ * @param {HTMLElement} el - The element issuing the request.
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ */
+export async function issueRequest(el, config, context) {
+    if (config.confirm && !window.confirm(config.confirm)) return;
+    const { element, strategy } = resolveSync(el, config);
+    let state = syncStates.get(element);
+    if (!state) {
+        state = { current: null, queue: [] };
+        syncStates.set(element, state);
+    }
+    const request = { el, config, context, strategy, controller: new AbortController() };
+    const { current } = state;
+    if (current) {
+        if (strategy === 'queue') {
+            state.queue.push(request);
+            return;
+        }
+        if (strategy !== 'replace' && !(current.strategy === 'abort' && current.el !== el)) return;
+        current.controller.abort();
+        // The aborted request hands its indicator/disabled state to this one
+        current.replaced = true;
+        request.superseded = current;
+    }
+    await runSynced(state, request);
+}
+
+/**
+ * Sends a request and swaps the response into its target.
+ *
+ * Events fired on the element (all bubble):
+ * - `basedom:beforeRequest` - `detail.url` / `detail.options` can be changed; cancel to skip the request
+ * - `basedom:afterRequest` - after the response arrives, successful or not; cancel to skip the swap
+ * - `basedom:responseError` - on HTTP or network errors, or when building the request throws (an `x-vals` / `x-headers` expression or an interceptor); cancel to skip rendering into `x-error-target`
+ * - `basedom:afterSwap` - fired on the target after the content is swapped in
+ *
+ * Aborted requests (see `x-sync`) end silently and never swap. A replaced
+ * request keeps its indicator/disabled state until the request replacing it
+ * has set its own, so they never flicker off in between.
+ * @param {object} request - `{ el, config, context, controller, superseded }` from `issueRequest`.
+ */
+async function sendRequest(request) {
+    const { el, config, context } = request;
+    const { signal } = request.controller;
+    let endRequestState = null;
+    try {
+        let detail;
+        try {
+            detail = { elt: el, config, ...buildRequest(el, config, context) };
+            detail.options.signal = signal;
+            for (const interceptor of requestInterceptors) {
+                if (await interceptor(detail) === false || signal.aborted) return;
+            }
+        } catch (error) {
+            // A throwing x-vals / x-headers expression or interceptor fails the request
+            await handleRequestError(el, config, context, { elt: el, config, ...detail, error });
+            return;
+        }
+        if (!fireEvent(el, 'beforeRequest', detail)) return;
+        endRequestState = request.endState = startRequestState(el, config);
+        releaseSuperseded(request);
+        let resp, html;
+        try {
+            ({ resp, html } = await fetchResponse(detail, config));
+        } catch (error) {
+            if (signal.aborted) return;
+            fireEvent(el, 'afterRequest', { ...detail, error, successful: false });
+            await handleRequestError(el, config, context, { ...detail, error });
+            return;
+        }
+        if (signal.aborted) return;
+        const responseDetail = { ...detail, response: resp, successful: resp.ok };
+        if (!fireEvent(el, 'afterRequest', responseDetail)) return;
+        if (await handleRedirect(resp)) return;
+        if (!resp.ok) {
+            const error = new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+            await handleRequestError(el, config, context, { ...responseDetail, error, html });
+            fireResponseTriggers(el, resp);
+            return;
+        }
+
+        // Determine target element; the server can override it
+        let target = el;
+        const targetSelector = resp.headers.get('X-BaseDOM-Retarget') || config.target;
+        if (targetSelector) {
+            const targetEl = document.querySelector(targetSelector);
+            if (targetEl) target = targetEl;
+        }
+        // URL updates keep the replaced content for back/forward
+        const historyUpdate = resolveHistoryUpdate(config, detail.url);
+        const region = historyUpdate && historyRegion(target, swapMode(config));
+        const previousNodes = region ? Array.from(region.childNodes) : [];
+        const { nodes, dispose } = await swapContent(target, html, config, context, !!region);
+        if (region) {
+            commitFragmentUrl(historyUpdate.url, region, previousNodes, {
+                replace: historyUpdate.replace,
+                nodes,
+                dispose: () => releaseSwapped(region, dispose)
+            });
+        }
+        fireEvent(target.isConnected ? target : document, 'afterSwap', { ...responseDetail, target });
+        fireResponseTriggers(el, resp);
+    } catch (error) {
+        console.error('Fetch trigger error:', error);
+    } finally {
+        releaseSuperseded(request);
+        if (endRequestState && !request.replaced) endRequestState();
+    }
+}
+
+/**
+ * Ends the request state of the request a request replaced, if it started one.
+ * @param {object} request
+ */
+function releaseSuperseded(request) {
+    const { superseded } = request;
+    request.superseded = null;
+    if (superseded && superseded.endState) superseded.endState();
+}
+
+// --- Triggers ---
+
+/**
+ * Returns the default trigger event for an element: `submit` for forms
+ * and `click` otherwise.
+ * @param {HTMLElement} el
+ * @returns {string}
+ */
+function defaultTrigger(el) {
+    return el instanceof HTMLFormElement ? 'submit' : 'click';
+}
+
+/**
+ * Parses an `x-trigger` value into trigger specs. Triggers are comma-separated;
+ * each is an event name (or `load`, `revealed`, `intersect`, `every <duration>`)
+ * followed by modifiers: `once`, `changed`, `delay:<duration>`,
+ * `throttle:<duration>`, `from:<selector|document|window>` and `threshold:<0-1>`.
+ * @param {string} value - The attribute value.
+ * @returns {Array<object>}
+ */
+export function parseTriggers(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const tokens = part.split(/\s+/);
+        const spec = { event: tokens.shift() };
+        if (spec.event === 'every') spec.every = parseDuration(tokens.shift(), 1000);
+        tokens.forEach(token => {
+            const [name, ...rest] = token.split(':');
+            const arg = rest.join(':');
+            if (name === 'once' || name === 'changed') spec[name] = true;
+            else if (name === 'delay' || name === 'throttle') spec[name] = parseDuration(arg, 0);
+            else if (name === 'from') spec.from = arg;
+            else if (name === 'threshold') spec.threshold = parseFloat(arg);
+            else if (window.devWarn) window.devWarn(`[ajax.js] Unknown trigger modifier "${token}" in "${part}"`);
+        });
+        return spec;
+    });
+}
+
+/**
+ * Wraps a request callback with the `delay` (debounce) and `throttle` modifiers.
+ * @param {Function} run
+ * @param {object} spec
+ * @returns {{run: Function, cancel: Function}}
+ */
+function timeTrigger(run, spec) {
+    let timer = null;
+    let last = 0;
+    const cancel = () => clearTimeout(timer);
+    if (spec.delay) {
+        return {
+            run: (...args) => { clearTimeout(timer); timer = setTimeout(() => run(...args), spec.delay); },
+            cancel
+        };
+    }
+    if (spec.throttle) {
+        return {
+            run: (...args) => {
+                const now = Date.now();
+                if (now - last < spec.throttle) return;
+                last = now;
+                run(...args);
+            },
+            cancel
+        };
+    }
+    return { run, cancel };
+}
+
+/**
+ * Resolves the `from:` source of an event trigger.
+ * @param {HTMLElement} el
+ * @param {string} [from]
+ * @returns {Array<EventTarget>}
+ */
+function triggerSources(el, from) {
+    if (!from) return [el];
+    if (from === 'document') return [document];
+    if (from === 'window') return [window];
+    return Array.from(document.querySelectorAll(from));
+}
+
+/**
+ * Starts one trigger for an element.
+ * @param {HTMLElement} el
+ * @param {object} spec - A spec from `parseTriggers`.
+ * @param {Function} request - Issues the request.
+ * @returns {Function} Stops the trigger.
+ */
+function startTrigger(el, spec, request) {
+    const { run, cancel } = timeTrigger(request, spec);
+
+    if (spec.event === 'load') {
+        run();
+        return cancel;
+    }
+
+    if (spec.event === 'every') {
+        const interval = setInterval(() => { if (el.isConnected) run(); }, spec.every);
+        return () => { clearInterval(interval); cancel(); };
+    }
+
+    if (spec.event === 'revealed' || spec.event === 'intersect') {
+        if (typeof IntersectionObserver !== 'function') {
+            if (window.devWarn) window.devWarn('[ajax.js] IntersectionObserver is not available; requesting immediately', el);
+            run();
+            return cancel;
+        }
+        const once = spec.once || spec.event === 'revealed';
+        const options = spec.threshold >= 0 ? { threshold: spec.threshold } : undefined;
+        const observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            if (once) observer.disconnect();
+            run();
+        }, options);
+        observer.observe(el);
+        return () => { observer.disconnect(); cancel(); };
+    }
+
+    const lastValues = new WeakMap();
+    const listener = (evt) => {
+        if (evt.type === 'submit' && el instanceof HTMLFormElement) evt.preventDefault();
+        if (spec.changed) {
+            const source = evt.target && 'value' in evt.target ? evt.target : el;
+            if (lastValues.has(source) && lastValues.get(source) === source.value) return;
+            lastValues.set(source, source.value);
+        }
+        run(evt);
+    };
+    const sources = triggerSources(el, spec.from);
+    sources.forEach(source => {
+        // Seed `changed` with the current value so only real edits trigger
+        if (spec.changed && 'value' in source) lastValues.set(source, source.value);
+        source.addEventListener(spec.event, listener, { once: !!spec.once });
+    });
+    return () => {
+        sources.forEach(source => source.removeEventListener(spec.event, listener));
+        cancel();
+    };
+}
+
+// --- Streaming ---
+
+/**
+ * Swaps a server-pushed fragment into the element's target.
+ * @param {HTMLElement} el
+ * @param {string} html
+ * @param {object} config - The request config.
+ * @param {object} context - The component context.
+ * @param {object} detail - Extra event detail.
+ */
+async function swapPushed(el, html, config, context, detail) {
+    let target = el;
+    if (config.target) {
+        const targetEl = document.querySelector(config.target);
+        if (targetEl) target = targetEl;
+    }
+    await swapContent(target, html, config, context);
+    fireEvent(target.isConnected ? target : document, 'afterSwap', { elt: el, config, target, ...detail });
+}
+
+/**
+ * Connects `x-sse`: every server-sent event (`message`, or the names in
+ * `x-sse-event`) is swapped into the target.
+ * @param {HTMLElement} el
+ * @param {object} config
+ * @param {object} context
+ * @returns {Function} Closes the connection.
+ */
+function connectEventSource(el, config, context) {
+    const source = new EventSource(config.sse);
+    const events = config.sseEvent ? config.sseEvent.split(',').map(name => name.trim()).filter(Boolean) : ['message'];
+    const onMessage = (event) => swapPushed(el, event.data, config, context, { event });
+    events.forEach(name => source.addEventListener(name, onMessage));
+    source.onerror = (error) => fireEvent(el, 'responseError', { elt: el, config, error });
+    return () => source.close();
+}
+
+/**
+ * Connects `x-ws`: every message is swapped into the target. A form with
+ * `x-ws` sends its fields as JSON over the socket on submit.
+ * @param {HTMLElement} el
+ * @param {object} config
+ * @param {object} context
+ * @returns {Function} Closes the connection.
+ */
+function connectWebSocket(el, config, context) {
+    const url = new URL(config.ws, location.href);
+    if (url.protocol === 'http:') url.protocol = 'ws:';
+    else if (url.protocol === 'https:') url.protocol = 'wss:';
+    const socket = new WebSocket(url.href);
+    socket.addEventListener('message', (event) => swapPushed(el, String(event.data), config, context, { event }));
+    socket.addEventListener('error', (error) => fireEvent(el, 'responseError', { elt: el, config, error }));
+    const onSubmit = (evt) => {
+        evt.preventDefault();
+        if (socket.readyState !== WebSocket.OPEN) return;
+        socket.send(JSON.stringify(paramsToObject(collectParams(el, config, context))));
+    };
+    if (el instanceof HTMLFormElement) el.addEventListener('submit', onSubmit);
+    return () => {
+        if (el instanceof HTMLFormElement) el.removeEventListener('submit', onSubmit);
+        socket.close();
+    };
+}
+
+// --- Attaching ---
+
+/**
+ * Starts the triggers and streams of an element once it is mounted.
+ * @param {HTMLElement} el - The rendered element.
+ * @param {object} config - The request config from `readAjaxConfig`.
+ * @param {object} context - The component context.
+ * @returns {Function} Stops everything again (on unmount).
+ */
+export function attachAjax(el, config, context) {
+    const stops = [];
+    if (config.url) {
+        const specs = config.trigger ? parseTriggers(config.trigger) : [{ event: defaultTrigger(el) }];
+        specs.forEach(spec => stops.push(startTrigger(el, spec, () => issueRequest(el, config, context))));
+    }
+    if (config.sse) stops.push(connectEventSource(el, config, context));
+    if (config.ws) stops.push(connectWebSocket(el, config, context));
+    return () => stops.forEach(stop => stop());
+}
@@ -1,5 +1,5 @@
 // components.js
-import { effect } from './state.js';
+import { effect, createScope } from './state.js';
 import {
   attachLifecycleHooks,
   callOnMountRecursive,
@@ -7,6 +7,15 @@ import {
   replaceContent,
   safeAppendElement
 } from './lifecycle.js';
+import {
+  setTransition,
+  transitionEnter,
+  transitionLeave,
+  transitionDisplay,
+  cancelTransition,
+  recordPositions,
+  playMoves
+} from './transition.js';
 
 // Utility: Generate a scoped class name from a string
 function hashString(str) {
@@ -20,6 +29,28 @@ function hashString(str) {
 
 const injectedStyles = new Set();
 
+/**
+ * Keeps the live `value` / `checked` properties of form controls in sync with
+ * their attributes, since the attributes stop affecting them once the user edits.
+ * A select's value (an array for `multiple`) selects the matching options; it is
+ * re-applied after the options are appended.
+ * @param {HTMLElement} el - The element.
+ * @param {string} key - The attribute name.
+ * @param {*} val - The attribute value.
+ */
+function syncFormProperty(el, key, val) {
+  if (key === 'checked' && el instanceof HTMLInputElement) {
+    el.checked = val !== false && val !== null && val !== undefined;
+  } else if (key === 'value' && el instanceof HTMLSelectElement) {
+    el.__selectValue = val;
+    const values = (Array.isArray(val) ? val : [val]).map(String);
+    Array.from(el.options).forEach(option => { option.selected = values.includes(option.value); });
+  } else if (key === 'value' && (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) {
+    const str = val === null || val === undefined ? '' : String(val);
+    if (el.value !== str) el.value = str;
+  }
+}
+
 /**
  * Applies an attribute to an element, handling reactive values and effects.
  * @param {HTMLElement} el - The element to apply the attribute to.
@@ -28,7 +59,23 @@ const injectedStyles = new Set();
  * @param {Array} effectsToCleanup - Array to collect cleanup functions.
  */
 function applyAttribute(el, key, value, effectsToCleanup) {
-  if (key.startsWith('on') && typeof value === 'function') {
+  if (key.startsWith('on') && typeof value === 'function' && value.eventOptions) {
+    // Handlers with modifiers (see x-on) receive the element and may listen on document/window
+    const eventName = key.slice(2).toLowerCase();
+    const { target, ...listenerOptions } = value.eventOptions;
+    const listenerTarget = target === 'window' ? window : target === 'document' ? document : el;
+    // Ignore an event that was already propagating when the listener was added
+    // (e.g. the click that rendered an element with @click.outside)
+    const attachedAt = performance.now();
+    const listener = event => {
+      if (listenerTarget !== el && event.timeStamp < attachedAt) return;
+      value(event, el);
+    };
+    listenerTarget.addEventListener(eventName, listener, listenerOptions);
+    if (listenerTarget !== el) {
+      effectsToCleanup.push(() => listenerTarget.removeEventListener(eventName, listener, listenerOptions));
+    }
+  } else if (key.startsWith('on') && typeof value === 'function') {
     const eventName = key.slice(2).toLowerCase();
     const handlerProp = `__${eventName}_handler`;
     if (el[handlerProp]) el.removeEventListener(eventName, el[handlerProp]);
@@ -41,7 +88,10 @@ function applyAttribute(el, key, value, effectsToCleanup) {
   } else if (key === 'style' && typeof value === 'object') {
     effectsToCleanup.push(effect(() => {
       for (const [styleKey, styleValue] of Object.entries(value)) {
-        el.style[styleKey] = typeof styleValue === 'function' ? styleValue() : styleValue;
+        const resolved = typeof styleValue === 'function' ? styleValue() : styleValue;
+        // x-show on an element with a transition animates instead of toggling at once
+        if (styleKey === 'display') transitionDisplay(el, resolved);
+        else el.style[styleKey] = resolved;
       }
     }));
   } else if (typeof value === 'function') {
@@ -50,15 +100,18 @@ function applyAttribute(el, key, value, effectsToCleanup) {
       if (typeof val === 'boolean') {
         if (val) el.setAttribute(key, '');
         else el.removeAttribute(key);
-      } else {
+      } else if (!Array.isArray(val)) {
         el.setAttribute(key, val);
       }
+      syncFormProperty(el, key, val);
     }));
   } else if (typeof value === 'boolean') {
     if (value) el.setAttribute(key, '');
     else el.removeAttribute(key);
+    syncFormProperty(el, key, value);
   } else {
     el.setAttribute(key, value);
+    syncFormProperty(el, key, value);
   }
 }
 
@@ -136,6 +189,130 @@ export function handleScopedStyles(styles, element) {
   element.classList.add(styleHash);
 }
 
+/**
+ * Converts the value of a reactive child into DOM nodes.
+ * Arrays (e.g. from x-for) are flattened, and nested reactive functions are read
+ * so their nodes take part in the same reconciliation.
+ * @param {*} value - The reactive value.
+ * @param {Array<Node>} [nodes=[]] - Collects the resulting nodes.
+ * @returns {Array<Node>} The nodes.
+ */
+function toNodes(value, nodes = []) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    nodes.push(document.createTextNode(String(value)));
+  } else if (value instanceof HTMLElement) {
+    nodes.push(value);
+  } else if (value instanceof DocumentFragment) {
+    nodes.push(...value.childNodes);
+  } else if (value === null || typeof value === 'undefined') {
+    // nothing
+  } else if (Array.isArray(value)) {
+    value.forEach(item => toNodes(item, nodes));
+  } else if (typeof value === 'function') {
+    toNodes(value(), nodes);
+  } else if (typeof value === 'object' && value.__html) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = value.__html;
+    nodes.push(...tempDiv.childNodes);
+  } else {
+    nodes.push(document.createTextNode(String(value)));
+  }
+  return nodes;
+}
+
+/**
+ * Returns the indexes (into `sequence`) of a longest strictly increasing subsequence.
+ * Entries of -1 (new nodes) are skipped.
+ * @param {Array<number>} sequence
+ * @returns {Set<number>}
+ */
+function longestIncreasingSubsequence(sequence) {
+  const predecessors = new Array(sequence.length);
+  const tails = [];
+  sequence.forEach((value, i) => {
+    if (value < 0) return;
+    let low = 0, high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sequence[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    predecessors[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  });
+  const result = new Set();
+  for (let i = tails[tails.length - 1]; tails.length && i !== -1; i = predecessors[i]) result.add(i);
+  return result;
+}
+
+/**
+ * Updates the nodes rendered before `marker` from `oldNodes` to `newNodes`,
+ * reusing nodes present in both. Removed nodes are unmounted, new nodes are
+ * mounted, and only nodes outside the longest run already in order are moved,
+ * so kept elements retain focus, input state and scroll position.
+ * Elements with a transition play it on enter and leave (removal waits for the
+ * leave to finish), and kept ones animate to their new position.
+ * @param {HTMLElement} parent - The parent element.
+ * @param {Array<Node>} oldNodes - The nodes currently rendered.
+ * @param {Array<Node>} newNodes - The nodes to render.
+ * @param {Node} marker - The node the rendered range ends before.
+ * @param {WeakSet<Node>} mountedNodes - Nodes that already received onMount.
+ */
+function reconcileNodes(parent, oldNodes, newNodes, marker, mountedNodes) {
+  const oldIndex = new Map(oldNodes.map((node, i) => [node, i]));
+  const kept = new Set(newNodes);
+  const positions = recordPositions(oldNodes.filter(node => kept.has(node)));
+  // Remove old nodes
+  oldNodes.forEach(node => {
+    if (kept.has(node)) return;
+    if (node.nodeType === Node.ELEMENT_NODE) callOnUnmountRecursive(node);
+    mountedNodes.delete(node);
+    transitionLeave(node, () => {
+      if (node.parentNode === parent) parent.removeChild(node);
+    });
+  });
+  // Insert new nodes and move reused ones, working backwards from the marker
+  const sources = newNodes.map(node => (oldIndex.has(node) ? oldIndex.get(node) : -1));
+  const stable = longestIncreasingSubsequence(sources);
+  let next = marker;
+  for (let i = newNodes.length - 1; i >= 0; i--) {
+    const node = newNodes[i];
+    const isNew = sources[i] === -1;
+    // A node coming back while its leave transition runs stays in place
+    if (isNew) cancelTransition(node);
+    if (!stable.has(i) || node.parentNode !== parent) parent.insertBefore(node, next);
+    // Until the parent is in the document, mounting is left to whoever inserts it
+    if (node.nodeType === Node.ELEMENT_NODE && parent.isConnected && !mountedNodes.has(node)) {
+      callOnMountRecursive(node);
+      mountedNodes.add(node);
+    }
+    if (isNew) transitionEnter(node);
+    next = node;
+  }
+  playMoves(positions);
+}
+
+/**
+ * Renders a reactive child as its nodes followed by an end marker, and keeps
+ * them reconciled wherever the marker has been placed.
+ * @param {Function} child - The reactive child.
+ * @returns {{fragment: DocumentFragment, dispose: Function}} The nodes to insert and the effect's disposer.
+ */
+export function createReactiveRange(child) {
+  const fragment = document.createDocumentFragment();
+  const marker = document.createTextNode('');
+  fragment.appendChild(marker);
+  let currentChildNodes = [];
+  let mountedNodes = new WeakSet();
+  const dispose = effect(() => {
+    const newNodes = toNodes(child());
+    if (!marker.parentNode) return;
+    reconcileNodes(marker.parentNode, currentChildNodes, newNodes, marker, mountedNodes);
+    currentChildNodes = newNodes;
+  });
+  return { fragment, dispose };
+}
+
 /**
  * Appends a child to an element, handling different types of children.
  * @param {HTMLElement} element - The parent element.
@@ -144,44 +321,9 @@ export function handleScopedStyles(styles, element) {
  */
 function appendChildToElement(element, child, effectsToCleanup) {
   if (typeof child === 'function') {
-    const marker = document.createTextNode('');
-    element.appendChild(marker);
-    let currentChildNodes = [];
-    let mountedNodes = new WeakSet();
-    effectsToCleanup.push(effect(() => {
-      const reactiveValue = child();
-      let newNodes = [];
-      if (typeof reactiveValue === 'string' || typeof reactiveValue === 'number') {
-        newNodes.push(document.createTextNode(String(reactiveValue)));
-      } else if (reactiveValue instanceof HTMLElement) {
-        newNodes.push(reactiveValue);
-      } else if (reactiveValue instanceof DocumentFragment) {
-        newNodes = Array.from(reactiveValue.childNodes);
-      } else if (reactiveValue === null || typeof reactiveValue === 'undefined') {
-        // nothing
-      } else if (typeof reactiveValue === 'object' && reactiveValue.__html) {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = reactiveValue.__html;
-        newNodes = Array.from(tempDiv.childNodes);
-      } else {
-        newNodes.push(document.createTextNode(String(reactiveValue)));
-      }
-      // Remove old nodes
-      currentChildNodes.forEach(node => {
-        if (node.nodeType === Node.ELEMENT_NODE) callOnUnmountRecursive(node);
-        if (node.parentNode === element) element.removeChild(node);
-      });
-      currentChildNodes = [];
-      // Insert new nodes
-      newNodes.forEach(newNode => {
-        element.insertBefore(newNode, marker);
-        currentChildNodes.push(newNode);
-        if (newNode.nodeType === Node.ELEMENT_NODE && !mountedNodes.has(newNode)) {
-          callOnMountRecursive(newNode);
-          mountedNodes.add(newNode);
-        }
-      });
-    }));
+    const { fragment, dispose } = createReactiveRange(child);
+    element.appendChild(fragment);
+    effectsToCleanup.push(dispose);
   } else if (child instanceof HTMLElement) {
     element.appendChild(child);
   } else if (child instanceof DocumentFragment) {
@@ -231,22 +373,39 @@ function setupLifecycleHooks(element, effectsToCleanup, { onMount, onUnmount, on
  * @param {object} [options] - Configuration object for the component.
  * @param {object} [options.attrs={}] - HTML attributes for the element.
  * @param {Array|string} [options.children=[]] - Child elements or text content.
+ * @param {function} [options.onCreate] - Called with the element once its attributes and children are set, before it is mounted.
  * @param {function} [options.onMount] - Lifecycle hook for when the component is mounted.
  * @param {function} [options.onUnmount] - Lifecycle hook for when the component is unmounted.
  * @param {function} [options.onUpdate] - Lifecycle hook for when the component should update (call triggerUpdate to invoke).
  * @param {function} [options.onSubmit]   – Form submit handler (preventDefault applied).
+ * @param {object|string} [options.transition] - Enter/leave/move transition (see transition.js).
  * @returns {HTMLElement} The HTML element representation of the component.
  */
 export function createComponent(tag, options = {}) {
+  // Each element owns a reactive scope: the effects for its attributes and
+  // children, and anything set up while building them, are disposed together
+  // on unmount or when the owner it was created under goes away.
+  return createScope(disposeScope => buildComponent(tag, options, disposeScope));
+}
+
+/**
+ * Builds the element for `createComponent` inside its scope.
+ * @param {string} tag - The HTML tag name.
+ * @param {object|Array|string} options - The component options (or children).
+ * @param {Function} disposeScope - Disposes the element's scope; called on unmount.
+ * @returns {HTMLElement}
+ */
+function buildComponent(tag, options, disposeScope) {
   // Normalize options
   const opts = typeof options === 'object' && !Array.isArray(options) ? options : { children: options };
-  const { attrs = {}, children = [], styles = '', onMount, onUnmount, onUpdate, onSubmit } = opts;
+  const { attrs = {}, children = [], styles = '', onCreate, onMount, onUnmount, onUpdate, onSubmit, transition } = opts;
   const element = document.createElement(tag);
+  setTransition(element, transition);
 
   // Merge event handlers from attrs and top-level options
   const allAttrs = { ...attrs };
   for (const key in opts) {
-    if (key.startsWith('on') && typeof opts[key] === 'function' && !['onMount', 'onUnmount', 'onUpdate'].includes(key)) {
+    if (key.startsWith('on') && typeof opts[key] === 'function' && !['onCreate', 'onMount', 'onUnmount', 'onUpdate'].includes(key)) {
       allAttrs[key] = opts[key];
     }
   }
@@ -261,7 +420,7 @@ export function createComponent(tag, options = {}) {
   }
 
   // Attribute application (reactive and static)
-  const effectsToCleanup = [];
+  const effectsToCleanup = [disposeScope];
   Object.entries(allAttrs).forEach(([key, value]) => applyAttribute(element, key, value, effectsToCleanup));
 
   // Scoped styles
@@ -269,6 +428,10 @@ export function createComponent(tag, options = {}) {
 
   // Children
   (Array.isArray(children) ? children : [children]).forEach(child => appendChildToElement(element, child, effectsToCleanup));
+  if ('__selectValue' in element) syncFormProperty(element, 'value', element.__selectValue);
+
+  // The element is complete but not yet in the document
+  if (typeof onCreate === 'function') onCreate(element);
 
   // Unified lifecycle hooks and effect cleanup
   setupLifecycleHooks(element, effectsToCleanup, { onMount, onUnmount, onUpdate });
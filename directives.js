@@ -1,8 +1,8 @@
 // directives.js
-import { computed } from './state.js';
-import { evaluateExpression, _reactive } from './expression.js';
-import { registerDirective, parseComponent } from './parser.js';
-import { renderComponent } from './components.js';
+import { signal, computed, createScope, getOwner, runWithOwner, onCleanup, isResource, isReactive } from './state.js';
+import { evaluateExpression, _reactive, resolveTarget, parseDuration } from './expression.js';
+import { registerDirective, findCustomComponent, addLifecycleHook, isDirectiveAttribute } from './parser.js';
+import { AJAX_ATTRIBUTES, readAjaxConfig, attachAjax } from './ajax.js';
 
 /**
  * Directive Interface:
@@ -18,23 +18,40 @@ import { renderComponent } from './components.js';
 
 // --- Control Flow Directives ---
 
+/**
+ * Evaluates an x-if / x-else-if condition.
+ * A resource is truthy once it has data and no error, so
+ * `x-if="user"` / `x-else` can switch between content and a placeholder.
+ * @param {string} expression - The condition expression.
+ * @param {object} context - The component context.
+ * @returns {boolean}
+ */
+function evaluateCondition(expression, context) {
+    const value = evaluateExpression(expression, context);
+    if (isResource(value)) {
+        return value.error() === undefined && value.data() !== undefined;
+    }
+    return !!value;
+}
+
+function isElseBranch(node) {
+    return node.nodeType === Node.ELEMENT_NODE && (node.hasAttribute('x-else-if') || node.hasAttribute('x-else'));
+}
+
 export const xIfDirective = {
     controlFlow: true,
-    // Preprocessing function to filter out paired x-else nodes
+    // Preprocessing function to filter out x-else-if / x-else nodes chained to an x-if
     preprocess: (nodes) => {
-        return nodes.filter((node, index) => {
-            if (node.nodeType === Node.ELEMENT_NODE && node.hasAttribute && node.hasAttribute('x-else')) {
-                // Look for a previous x-if sibling (skipping text nodes)
-                for (let i = index - 1; i >= 0; i--) {
-                    const prevNode = nodes[i];
-                    if (prevNode.nodeType === Node.ELEMENT_NODE && prevNode.hasAttribute && prevNode.hasAttribute('x-if')) {
-                        return false; // Skip this x-else, it's paired with x-if
-                    }
-                    if (prevNode.nodeType === Node.ELEMENT_NODE) {
-                        break; // Found a non-x-if element, stop looking
-                    }
-                }
+        let inChain = false;
+        return nodes.filter(node => {
+            // Text nodes between branches don't break the chain
+            if (node.nodeType !== Node.ELEMENT_NODE) return true;
+            if (inChain && isElseBranch(node)) {
+                // Skip this branch, it's handled by the x-if; only x-else-if continues the chain
+                inChain = node.hasAttribute('x-else-if');
+                return false;
             }
+            inChain = node.hasAttribute('x-if');
             return true;
         });
     },
@@ -46,66 +63,190 @@ export const xIfDirective = {
             return null;
         }
         
-        const ifDirective = node.getAttribute('x-if');
+        // Clone nodes to avoid modifying the original DOM
+        const ifNodeClone = node.cloneNode(true);
+        ifNodeClone.removeAttribute('x-if');
+        const branches = [{ expression: node.getAttribute('x-if'), node: ifNodeClone }];
 
-        // Find the corresponding x-else node by traversing siblings
-        let elseNode = null;
+        // Collect the x-else-if / x-else chain by traversing siblings
         let sibling = node.nextSibling;
         while (sibling) {
-            if (sibling.nodeType === Node.ELEMENT_NODE && sibling.hasAttribute('x-else')) {
-                elseNode = sibling;
-                break;
-            } else if (sibling.nodeType === Node.ELEMENT_NODE) {
-                // Found another element that's not x-else, stop looking
-                break;
+            if (sibling.nodeType === Node.ELEMENT_NODE) {
+                // Found an element that's not part of the chain, stop looking
+                if (!isElseBranch(sibling)) break;
+                const clone = sibling.cloneNode(true);
+                const isElse = !sibling.hasAttribute('x-else-if');
+                branches.push({ expression: isElse ? null : sibling.getAttribute('x-else-if'), node: clone });
+                clone.removeAttribute('x-else-if');
+                clone.removeAttribute('x-else');
+                // x-else ends the chain
+                if (isElse) break;
             }
             sibling = sibling.nextSibling;
         }
 
-        // Clone nodes to avoid modifying the original DOM
-        const ifNodeClone = node.cloneNode(true);
-        const elseNodeClone = elseNode ? elseNode.cloneNode(true) : null;
-        
-        // Remove directive attributes from clones
-        ifNodeClone.removeAttribute('x-if');
-        if (elseNodeClone) elseNodeClone.removeAttribute('x-else');
-
-        return computed(() => {
-            try {
-                const shouldShow = evaluateExpression(ifDirective, context);
-                
-                if (shouldShow) {
-                    return parseNode(ifNodeClone, context);
-                } else if (elseNodeClone) {
-                    return parseNode(elseNodeClone, context);
+        // All conditions are evaluated in one computed; the branch is only
+        // re-parsed when a different one becomes active.
+        const activeBranch = computed(() => {
+            for (let i = 0; i < branches.length; i++) {
+                const { expression } = branches[i];
+                if (expression === null) return i;
+                try {
+                    if (evaluateCondition(expression, context)) return i;
+                } catch (error) {
+                    if (window.devWarn) window.devWarn(`[directives.js/xIfDirective] Error evaluating condition '${expression}':`, error);
+                    return -1;
                 }
-                return null;
-            } catch (error) {
-                if (window.devWarn) window.devWarn(`[directives.js/xIfDirective] Error evaluating x-if expression '${ifDirective}':`, error);
-                return null;
             }
+            return -1;
+        });
+
+        return computed(() => {
+            const index = activeBranch();
+            return index === -1 ? null : parseNode(branches[index].node, context);
         });
     }
 };
 
 export const xElseDirective = {
     controlFlow: true,
+    attributes: ['x-else', 'x-else-if'],
     handle: (parsingContext) => {
         const { node } = parsingContext;
         
         // Check if this directive applies to this node
-        if (!node.hasAttribute || !node.hasAttribute('x-else')) {
+        if (!node.hasAttribute || !isElseBranch(node)) {
             return null;
         }
 
-        // If we reach this point, it means x-else wasn't paired with x-if
-        console.warn('Found standalone x-else directive without corresponding x-if:', node);
-        return null; // Don't render standalone x-else
+        // If we reach this point, the branch wasn't chained to an x-if
+        const attribute = node.hasAttribute('x-else-if') ? 'x-else-if' : 'x-else';
+        if (window.devWarn) window.devWarn(`[directives.js/xElseDirective] Found ${attribute} without a preceding x-if or x-else-if sibling:`, node);
+        return () => null; // Don't render orphaned branches
     }
 };
 
+/**
+ * Splits a string on top-level commas, ignoring commas inside (), {} and [].
+ * @param {string} str
+ * @returns {Array<string>} The trimmed parts.
+ */
+function splitTopLevel(str) {
+    const parts = [];
+    let depth = 0, current = '';
+    for (const char of str) {
+        if ('({['.includes(char)) depth++;
+        if (')}]'.includes(char)) depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Parses a destructuring pattern like `{ id, name: title }` or `[first, second]`
+ * into the names it binds and the property each one reads.
+ * Nested patterns are not supported.
+ * @param {string} pattern
+ * @returns {Array<{name: string, path: string|number}>|null} The bindings, or null if invalid.
+ */
+function parseDestructuring(pattern) {
+    const isArray = pattern.startsWith('[');
+    const bindings = [];
+    for (const [i, part] of splitTopLevel(pattern.slice(1, -1)).entries()) {
+        const match = isArray ? part.match(/^(\w+)$/) : part.match(/^(\w+)(?:\s*:\s*(\w+))?$/);
+        if (!match) return null;
+        bindings.push(isArray ? { name: match[1], path: i } : { name: match[2] || match[1], path: match[1] });
+    }
+    return bindings;
+}
+
+/**
+ * Parses an x-for expression. Supported forms:
+ * `item in items`, `item, index in items`, `(value, key, index) in object`,
+ * `{ id, name } in users`, `[a, b] in pairs` and `n in 10`; `of` may be used instead of `in`.
+ * @param {string} expression
+ * @returns {{item: string|null, bindings: Array|null, keyName: string|null, indexName: string|null, listExpr: string}|null}
+ */
+function parseForExpression(expression) {
+    const match = expression.match(/^\s*([\s\S]+?)\s+(?:in|of)\s+([\s\S]+)$/);
+    if (!match) return null;
+    let [, left, listExpr] = match;
+    left = left.trim();
+    if (left.startsWith('(') && left.endsWith(')')) left = left.slice(1, -1);
+    const [itemPart, keyName = null, indexName = null, ...rest] = splitTopLevel(left);
+    if (!itemPart || rest.length || ![keyName, indexName].every(name => name === null || /^\w+$/.test(name))) return null;
+    if (/^\w+$/.test(itemPart)) {
+        return { item: itemPart, bindings: null, keyName, indexName, listExpr: listExpr.trim() };
+    }
+    if (/^(\{[\s\S]*\}|\[[\s\S]*\])$/.test(itemPart)) {
+        const bindings = parseDestructuring(itemPart);
+        if (!bindings) return null;
+        return { item: null, bindings, keyName, indexName, listExpr: listExpr.trim() };
+    }
+    return null;
+}
+
+/**
+ * Converts the value of an x-for source into `[item, key]` entries.
+ * Arrays and Sets (and other iterables) are keyed by position, Maps and objects
+ * by their keys, and a number `n` iterates 1..n.
+ * @param {*} source
+ * @returns {Array<Array>|null} The entries, or null for an unsupported value.
+ */
+function toLoopEntries(source) {
+    if (source === null || source === undefined) return [];
+    if (Array.isArray(source)) return source.map((item, i) => [item, i]);
+    if (typeof source === 'number') {
+        return Array.from({ length: Math.max(0, Math.floor(source)) }, (_, i) => [i + 1, i]);
+    }
+    if (source instanceof Map) return Array.from(source, ([key, value]) => [value, key]);
+    if (typeof source === 'object' && typeof source[Symbol.iterator] === 'function') {
+        return Array.from(source, (item, i) => [item, i]);
+    }
+    if (typeof source === 'object') return Object.keys(source).map(key => [source[key], key]);
+    return null;
+}
+
+/**
+ * Returns the `x-empty` / `x-for-empty` element following an x-for node, if any.
+ * @param {Node} node - The x-for node.
+ * @returns {Element|null}
+ */
+function findEmptySibling(node) {
+    for (let sibling = node.nextSibling; sibling; sibling = sibling.nextSibling) {
+        if (sibling.nodeType !== Node.ELEMENT_NODE) continue;
+        return isEmptyFallback(sibling) ? sibling : null;
+    }
+    return null;
+}
+
+// Contexts created for x-for items (x-ref collects arrays inside them)
+const loopContexts = new WeakSet();
+
+function isEmptyFallback(node) {
+    return node.nodeType === Node.ELEMENT_NODE && (node.hasAttribute('x-empty') || node.hasAttribute('x-for-empty'));
+}
+
 export const xForDirective = {
     controlFlow: true,
+    attributes: ['x-for', 'x-key', ':key'],
+    // Preprocessing function to filter out x-empty nodes paired with an x-for
+    preprocess: (nodes) => {
+        return nodes.filter((node, index) => {
+            if (!isEmptyFallback(node)) return true;
+            for (let i = index - 1; i >= 0; i--) {
+                const prevNode = nodes[i];
+                if (prevNode.nodeType === Node.ELEMENT_NODE) return !prevNode.hasAttribute('x-for');
+            }
+            return true;
+        });
+    },
     handle: (parsingContext) => {
         const { node, context, parseNode } = parsingContext;
         
@@ -115,55 +256,257 @@ export const xForDirective = {
         }
         
         const forDirective = node.getAttribute('x-for');
-
-        // Parse the for expression - support "item in items" and "item, index in items"
-        const forMatch = forDirective.match(/^(\w+)(?:\s*,\s*(\w+))?\s+in\s+(.+)$/);
-        if (!forMatch) {
+        const parsed = parseForExpression(forDirective);
+        if (!parsed) {
             console.warn(`Invalid x-for expression: ${forDirective}`);
             return () => [];
         }
         
-        const [, itemName, indexName, listExpr] = forMatch;
+        const { item: itemName, bindings, keyName, indexName, listExpr } = parsed;
+        const keyExpr = node.getAttribute(':key') || node.getAttribute('x-key');
         const nodeClone = node.cloneNode(true);
         nodeClone.removeAttribute('x-for');
-        
+        nodeClone.removeAttribute(':key');
+        nodeClone.removeAttribute('x-key');
+        const emptyNode = findEmptySibling(node);
+        const emptyClone = emptyNode && emptyNode.cloneNode(true);
+        if (emptyClone) {
+            emptyClone.removeAttribute('x-empty');
+            emptyClone.removeAttribute('x-for-empty');
+        }
+
+        // Items are owned by the scope the list was created in, not by the
+        // computed below, so they survive its re-runs until their key goes away.
+        const owner = getOwner();
+        let rendered = new Map(); // key -> { element, setItem, setKey, setIndex, dispose }
+        let empty = null;         // { element, dispose } while the fallback is shown
+
+        const loopVariables = (getItem, getKey, getIndex) => {
+            const variables = {};
+            if (bindings) {
+                bindings.forEach(({ name, path }) => {
+                    variables[name] = () => {
+                        const value = _reactive(getItem());
+                        return value == null ? undefined : value[path];
+                    };
+                });
+            } else {
+                variables[itemName] = getItem;
+            }
+            if (keyName) variables[keyName] = getKey;
+            else if (itemName) variables[`${itemName}Index`] = getIndex;
+            if (indexName) variables[indexName] = getIndex;
+            return variables;
+        };
+
+        const createItem = (item, key, index) => runWithOwner(owner, () => createScope(dispose => {
+            // Per-item signals let a reused element update in place
+            const [getItem, setItem] = signal(item);
+            const [getKey, setKey] = signal(key);
+            const [getIndex, setIndex] = signal(index);
+            const loopContext = { ...context, ...loopVariables(getItem, getKey, getIndex) };
+            loopContexts.add(loopContext);
+            const element = parseNode(nodeClone.cloneNode(true), loopContext);
+            return { element, setItem, setKey, setIndex, dispose };
+        }));
+
+        const disposeItems = () => {
+            rendered.forEach(entry => entry.dispose());
+            rendered = new Map();
+        };
+        const disposeEmpty = () => {
+            if (empty) empty.dispose();
+            empty = null;
+        };
+        if (owner) onCleanup(() => { disposeItems(); disposeEmpty(); });
+
         // Return a function that reactively returns the list of components
         return computed(() => {
+            let entries;
             try {
-                const items = evaluateExpression(listExpr.trim(), context);
-                let itemsArray = _reactive(items);
-                
-                if (!Array.isArray(itemsArray)) {
-                    return [];
+                entries = toLoopEntries(_reactive(evaluateExpression(listExpr, context)));
+                if (!entries && window.devWarn) window.devWarn(`[directives.js/xForDirective] Cannot iterate over the value of '${listExpr}'.`);
+            } catch (error) {
+                if (window.devWarn) window.devWarn(`[directives.js/xForDirective] Error evaluating x-for expression '${listExpr}':`, error);
+                entries = null;
+            }
+            if (!entries || entries.length === 0) {
+                disposeItems();
+                if (!emptyClone) return [];
+                if (!empty) {
+                    empty = runWithOwner(owner, () => createScope(dispose => ({
+                        element: parseNode(emptyClone.cloneNode(true), context),
+                        dispose
+                    })));
                 }
+                return empty.element;
+            }
+            disposeEmpty();
 
-                return itemsArray.map((item, index) => {
-                    // For each item, create a new context that includes the loop variables
-                    const loopContext = {
-                        ...context,
-                        [itemName]: () => item, // Make the item available as a "signal"
-                    };
-                
-                // Add index if specified
-                if (indexName) {
-                    loopContext[indexName] = () => index;
+            // Without a key, items are patched in place by position
+            const next = new Map();
+            entries.forEach(([item, entryKey], index) => {
+                let key = index;
+                if (keyExpr) {
+                    try {
+                        key = evaluateExpression(keyExpr, { ...context, ...loopVariables(() => item, () => entryKey, () => index) });
+                    } catch (error) {
+                        if (window.devWarn) window.devWarn(`[directives.js/xForDirective] Error evaluating key '${keyExpr}':`, error);
+                    }
+                    if (next.has(key)) {
+                        if (window.devWarn) window.devWarn(`[directives.js/xForDirective] Duplicate key '${String(key)}' in x-for '${forDirective}'. Falling back to the index.`);
+                        key = `${String(key)}:${index}`;
+                    }
+                }
+                const entry = rendered.get(key);
+                if (entry) {
+                    entry.setItem(() => item);
+                    entry.setKey(() => entryKey);
+                    entry.setIndex(index);
+                    next.set(key, entry);
                 } else {
-                    // Default index name
-                    loopContext[`${itemName}Index`] = () => index;
+                    next.set(key, createItem(item, entryKey, index));
                 }
-                
-                return parseNode(nodeClone.cloneNode(true), loopContext);
             });
-            } catch (error) {
-                if (window.devWarn) window.devWarn(`[directives.js/xForDirective] Error evaluating x-for expression '${listExpr}':`, error);
-                return [];
-            }
+
+            rendered.forEach((entry, key) => {
+                if (next.get(key) !== entry) entry.dispose();
+            });
+            rendered = next;
+            return Array.from(next.values(), entry => entry.element);
         });
     }
 };
 
+export const xEmptyDirective = {
+    controlFlow: true,
+    attributes: ['x-empty', 'x-for-empty'],
+    handle: (parsingContext) => {
+        const { node } = parsingContext;
+        if (!node.hasAttribute || !isEmptyFallback(node)) {
+            return null;
+        }
+        // Paired x-empty nodes are removed by xForDirective.preprocess
+        if (window.devWarn) window.devWarn('[directives.js/xEmptyDirective] Found x-empty without a preceding x-for sibling:', node);
+        return () => null;
+    }
+};
+
 // --- Attribute Processing Directives ---
 
+// --- Event Modifiers ---
+// A modifier can filter events (return false to skip the handler), wrap the
+// handler (debounce, throttle, once), set addEventListener options, or move the
+// listener to `document` / `window`. Modifiers run in the order they are written.
+
+const eventModifiers = new Map();
+
+/**
+ * Registers a custom event modifier for `x-on` / `@`, e.g. `@click.confirm`.
+ * @param {string} name - The modifier name.
+ * @param {object} definition
+ * @param {Function} [definition.filter] - `(event, { element, arg }) => boolean`; false skips the handler.
+ * @param {Function} [definition.wrap] - `(handler, { element, arg }) => handler`.
+ * @param {object} [definition.listenerOptions] - Options passed to addEventListener.
+ * @param {'document'|'window'} [definition.target] - Listen on document/window instead of the element.
+ */
+export function registerEventModifier(name, definition) {
+    eventModifiers.set(name, definition);
+}
+
+const KEY_ALIASES = {
+    esc: 'escape',
+    space: ' ',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    del: 'delete'
+};
+const SYSTEM_KEYS = ['ctrl', 'alt', 'shift', 'meta'];
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+/**
+ * Checks an unregistered modifier as a key, mouse button or system key filter.
+ * @param {Event} event
+ * @param {string} name - The modifier, e.g. `enter`, `ctrl`, `page-down`.
+ * @returns {boolean}
+ */
+function matchesKeyModifier(event, name) {
+    if (SYSTEM_KEYS.includes(name)) return !!event[`${name}Key`];
+    if (typeof event.button === 'number' && !('key' in event) && name in MOUSE_BUTTONS) {
+        return event.button === MOUSE_BUTTONS[name];
+    }
+    if (typeof event.key !== 'string') return true;
+    const key = event.key.toLowerCase();
+    const expected = KEY_ALIASES[name] || name;
+    return key === expected || key.replace(/\s+/g, '') === expected.replace(/-/g, '');
+}
+
+registerEventModifier('prevent', { filter: (event) => { event.preventDefault(); return true; } });
+registerEventModifier('stop', { filter: (event) => { event.stopPropagation(); return true; } });
+registerEventModifier('self', { filter: (event, { element }) => event.target === element });
+registerEventModifier('capture', { listenerOptions: { capture: true } });
+registerEventModifier('passive', { listenerOptions: { passive: true } });
+registerEventModifier('outside', {
+    target: 'document',
+    filter: (event, { element }) => element.isConnected && !element.contains(event.target)
+});
+registerEventModifier('window', { target: 'window' });
+registerEventModifier('document', { target: 'document' });
+registerEventModifier('once', {
+    wrap: (handler) => {
+        let called = false;
+        return (event) => {
+            if (called) return;
+            called = true;
+            handler(event);
+        };
+    }
+});
+registerEventModifier('debounce', {
+    wrap: (handler, { arg }) => {
+        const wait = parseDuration(arg, 250);
+        let timer = null;
+        return (event) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => handler(event), wait);
+        };
+    }
+});
+registerEventModifier('throttle', {
+    wrap: (handler, { arg }) => {
+        const wait = parseDuration(arg, 250);
+        let last = 0;
+        return (event) => {
+            const now = Date.now();
+            if (now - last < wait) return;
+            last = now;
+            handler(event);
+        };
+    }
+});
+
+/**
+ * Splits `keydown.enter.ctrl` / `input.debounce.300ms` into the event name and
+ * its modifiers. A token that looks like a duration is the previous modifier's argument.
+ * @param {string} name - The attribute name without the `@` / `x-on:` prefix.
+ * @returns {{eventName: string, modifiers: Array<{name: string, arg: string|undefined}>}}
+ */
+function parseEventModifiers(name) {
+    const [eventName, ...tokens] = name.split('.');
+    const modifiers = [];
+    tokens.forEach(token => {
+        const previous = modifiers[modifiers.length - 1];
+        if (previous && previous.arg === undefined && /^\d+(?:\.\d+)?(ms|s)?$/.test(token)) {
+            previous.arg = token;
+        } else {
+            modifiers.push({ name: token, arg: undefined });
+        }
+    });
+    return { eventName, modifiers };
+}
+
 export const xOnDirective = {
     controlFlow: false,
     handle: (parsingContext, props) => {
@@ -180,14 +523,14 @@ export const xOnDirective = {
                 eventName = attr.name.substring(1).toLowerCase();
             }
             if (isXOn) {
+                const parsed = parseEventModifiers(eventName);
+                eventName = parsed.eventName;
                 // Map aliases for convenience
                 if (eventName === 'hover' || eventName === 'enter') eventName = 'mouseenter';
                 if (eventName === 'leave') eventName = 'mouseleave';
                 const handlerExpr = attr.value;
 
-                // Always attach using normalized event name (lowercase)
-                let propEventName = `on${eventName}`;
-                props[propEventName] = (event) => {
+                const run = (event) => {
                     const eventContext = {
                         ...context,
                         $event: event,
@@ -201,6 +544,44 @@ export const xOnDirective = {
                     }
                     // If result is not a function, just evaluate (for side effects like console.log)
                 };
+
+                // Always attach using normalized event name (lowercase)
+                let propEventName = `on${eventName}`;
+                if (parsed.modifiers.length === 0) {
+                    props[propEventName] = run;
+                    continue;
+                }
+
+                // The element is only known once the listener is attached,
+                // so the modifier chain is built on first use.
+                const eventOptions = {};
+                parsed.modifiers.forEach(({ name }) => {
+                    const modifier = eventModifiers.get(name);
+                    if (modifier && modifier.listenerOptions) Object.assign(eventOptions, modifier.listenerOptions);
+                    if (modifier && modifier.target) eventOptions.target = modifier.target;
+                });
+                let chain = null;
+                const handler = (event, element) => {
+                    if (!chain) {
+                        let wrapped = run;
+                        const filters = [];
+                        parsed.modifiers.forEach(({ name, arg }) => {
+                            const modifier = eventModifiers.get(name);
+                            if (!modifier) {
+                                filters.push(event => matchesKeyModifier(event, name));
+                                return;
+                            }
+                            if (modifier.filter) filters.push(event => modifier.filter(event, { element, arg }));
+                            if (modifier.wrap) wrapped = modifier.wrap(wrapped, { element, arg });
+                        });
+                        chain = (event) => {
+                            if (filters.every(filter => filter(event))) wrapped(event);
+                        };
+                    }
+                    chain(event);
+                };
+                handler.eventOptions = eventOptions;
+                props[propEventName] = handler;
             }
         }
     }
@@ -248,201 +629,206 @@ export const xShowDirective = {
     }
 };
 
-export const xModelDirective = {
+export const xTransitionDirective = {
     controlFlow: false,
     handle: (parsingContext, props) => {
-        const { node, context } = parsingContext;
-        if (!node.hasAttribute || !node.hasAttribute('x-model')) return;
-
-        const modelExpr = node.getAttribute('x-model').trim();
-        let signal = context[modelExpr];
-
-        // Support signals as [getter, setter] pairs
-        let getter, setter;
-        if (typeof signal === 'function') {
-            getter = signal;
-            setter = signal.set || context[`set${modelExpr.charAt(0).toUpperCase() + modelExpr.slice(1)}`];
-        } else if (Array.isArray(signal) && signal.length === 2 && typeof signal[0] === 'function' && typeof signal[1] === 'function') {
-            getter = signal[0];
-            setter = signal[1];
-        } else {
-            // Try to find getter/setter in context
-            getter = () => signal;
-            setter = context[`set${modelExpr.charAt(0).toUpperCase() + modelExpr.slice(1)}`];
-        }
+        const { node } = parsingContext;
+        if (!node.attributes) return;
 
-        if (!getter || typeof getter !== 'function' || !setter || typeof setter !== 'function') {
-            console.warn(`x-model: '${modelExpr}' is not a valid signal or setter is missing in context.`);
-            return;
+        // x-transition="name", x-transition:<phase>="classes", x-transition:duration="ms"
+        let transition = null;
+        for (const attr of node.attributes) {
+            if (attr.name === 'x-transition') {
+                transition = transition || { classes: {} };
+                transition.name = attr.value.trim();
+            } else if (attr.name.startsWith('x-transition:')) {
+                transition = transition || { classes: {} };
+                const option = attr.name.substring(13);
+                if (option === 'duration') transition.duration = parseFloat(attr.value);
+                else transition.classes[option] = attr.value;
+            }
         }
+        if (transition) props.transition = transition;
+    }
+};
+
+/**
+ * Resolves the getter and setter for an x-model expression.
+ * Supports signals (with `.set` or a `setName` setter in the context),
+ * `[getter, setter]` pairs, and property paths on reactive objects (`form.email`).
+ * Paths write to the object itself rather than an evaluated copy.
+ * @param {string} modelExpr - The model expression.
+ * @param {object} context - The component context.
+ * @returns {{getter: Function, setter: Function}|null}
+ */
+function resolveModel(modelExpr, context) {
+    const pathMatch = modelExpr.match(/^([\s\S]+)\.(\w+)$/) || modelExpr.match(/^([\s\S]+)\[(['"]?)([^\]]+)\2\]$/);
+    if (!(modelExpr in context) && pathMatch) {
+        const objectExpr = pathMatch[1];
+        const property = pathMatch[3] !== undefined ? pathMatch[3] : pathMatch[2];
+        let warned = false;
+        return {
+            getter: () => _reactive(evaluateExpression(modelExpr, context)),
+            setter: (value) => {
+                const target = resolveTarget(objectExpr, context);
+                if (!target || typeof target !== 'object') return;
+                // Writes to a plain object land but nothing reading it re-renders
+                if (!isReactive(target) && !warned && window.devWarn) {
+                    warned = true;
+                    window.devWarn(`[directives.js/xModelDirective] '${objectExpr}' is not reactive, so other bindings of '${modelExpr}' will not update. Wrap it with reactive().`);
+                }
+                target[property] = value;
+            }
+        };
+    }
 
-        if (!props.attrs) props.attrs = {};
-        const tagName = node.tagName.toLowerCase();
-        const type = node.getAttribute('type');
+    let signal = context[modelExpr];
+    const namedSetter = context[`set${modelExpr.charAt(0).toUpperCase() + modelExpr.slice(1)}`];
 
-        if (tagName === 'input' && type === 'checkbox') {
-            props.attrs.checked = computed(() => getter());
-            props.onChange = (event) => {
-                setter(event.target.checked);
-            };
-        } else if (tagName === 'input' || tagName === 'textarea') {
-            props.attrs.value = computed(() => getter());
-            const inputHandler = (event) => {
-                setter(event.target.value);
-            };
-            props.onInput = inputHandler;
-            props.onChange = inputHandler;
-        } else if (tagName === 'select') {
-            props.attrs.value = computed(() => getter());
-            props.onChange = (event) => {
-                setter(event.target.value);
-            };
-        }
+    // Support signals as [getter, setter] pairs
+    let getter, setter;
+    if (typeof signal === 'function') {
+        getter = signal;
+        setter = signal.set || namedSetter;
+    } else if (Array.isArray(signal) && signal.length === 2 && typeof signal[0] === 'function' && typeof signal[1] === 'function') {
+        getter = signal[0];
+        setter = signal[1];
+    } else {
+        // Try to find getter/setter in context
+        getter = () => signal;
+        setter = namedSetter;
     }
-};
 
-export const FetchDirective = {
+    if (!getter || typeof getter !== 'function' || !setter || typeof setter !== 'function') return null;
+    return { getter, setter };
+}
+
+export const xModelDirective = {
     controlFlow: false,
     handle: (parsingContext, props) => {
         const { node, context } = parsingContext;
-        // Collect fetch config from attributes
-        const fetchAttrs = [
-            'x-get', 'x-post', 'x-swap', 'x-select', 'x-trigger',
-            'x-push-url', 'x-replace-url', 'x-target'
-        ];
-        const fetchConfig = {};
-        let hasFetch = false;
-        for (const attr of fetchAttrs) {
-            if (node.hasAttribute(attr)) {
-                fetchConfig[attr] = node.getAttribute(attr);
-                props.attrs[attr] = node.getAttribute(attr);
-                hasFetch = true;
+        if (!node.attributes) return;
+
+        // x-model, x-model.lazy, x-model:title, x-model:title.trim ...
+        for (const attr of Array.from(node.attributes)) {
+            const match = attr.name.match(/^x-model(?::([\w-]+))?((?:\.\w+)*)$/);
+            if (!match) continue;
+            const [, argument, modifierList] = match;
+            const modifiers = modifierList.split('.').filter(Boolean);
+            const modelExpr = attr.value.trim();
+            const model = resolveModel(modelExpr, context);
+            if (!model) {
+                console.warn(`x-model: '${modelExpr}' is not a valid signal or setter is missing in context.`);
+                continue;
             }
+            bindModel(node, props, model, argument, modifiers);
         }
-        if (!hasFetch) return;
-
-        // Attach fetch handler after render
-        props.ref = (el) => {
-            if (!el) return;
-            const tagName = node.tagName.toLowerCase();
-            const method = fetchConfig['x-post'] ? 'POST' : 'GET';
-            const url = fetchConfig['x-get'] || fetchConfig['x-post'];
-            if (!url) return;
-
-            let trigger = fetchConfig['x-trigger'] || '';
-            if (!trigger) {
-                trigger = (tagName === 'form' && method === 'POST') ? 'submit' : 'click';
-            }
+    }
+};
 
-            const handleEvent = async (evt) => {
-                if (tagName === 'form' && method === 'POST') {
-                    evt.preventDefault();
-                }
-                try {
-                    let fetchOpts = { method };
-                    if (method === 'POST' && tagName === 'form') {
-                        fetchOpts.body = new FormData(el);
-                    }
-                    const resp = await fetch(url, fetchOpts);
-                    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-                    let html = await resp.text();
-
-                    // Handle content selection
-                    if (fetchConfig['x-select']) {
-                        const temp = document.createElement('div');
-                        temp.innerHTML = html;
-                        const sel = temp.querySelector(fetchConfig['x-select']);
-                        if (sel) {
-                            const swapMode = (fetchConfig['x-swap'] || '').toLowerCase();
-                            html = swapMode === 'innerhtml' ? sel.innerHTML : sel.outerHTML;
-                        }
-                    }
+/**
+ * Converts an input value according to the x-model modifiers.
+ * @param {*} value
+ * @param {Array<string>} modifiers
+ * @returns {*}
+ */
+function castModelValue(value, modifiers) {
+    if (typeof value !== 'string') return value;
+    if (modifiers.includes('trim')) value = value.trim();
+    if (modifiers.includes('number')) {
+        const number = parseFloat(value);
+        if (!isNaN(number)) return number;
+    }
+    return value;
+}
 
-                    // Determine target element
-                    let target = el;
-                    if (fetchConfig['x-target']) {
-                        const targetEl = document.querySelector(fetchConfig['x-target']);
-                        if (targetEl) target = targetEl;
-                    }
+/**
+ * Wires a resolved model to the props of an element or custom component.
+ * @param {Element} node - The template node.
+ * @param {object} props - The props being built.
+ * @param {{getter: Function, setter: Function}} model
+ * @param {string|undefined} argument - The model name for `x-model:name`.
+ * @param {Array<string>} modifiers - `number`, `trim`, `lazy`.
+ */
+function bindModel(node, props, { getter, setter }, argument, modifiers) {
+    if (!props.attrs) props.attrs = {};
+    const tagName = node.tagName.toLowerCase();
+    const type = (node.getAttribute('type') || '').toLowerCase();
+    const set = (value) => setter(castModelValue(value, modifiers));
 
-                    // Check if the response looks like a BaseDOM component
-                    const isComponent = html.includes('<template>') || html.includes('<script>') || 
-                                       (html.includes('<style>') && (html.includes('<template>') || html.includes('<script>')));
-                    
-                    if (isComponent) {
-                        // Parse as BaseDOM component
-                        try {
-                            const componentFn = await parseComponent(html);
-                            const componentInstance = componentFn(context);
-                            
-                            // Apply the swap strategy using renderComponent
-                            const swap = (fetchConfig['x-swap'] || 'innerHTML').toLowerCase();
-                            if (swap === 'outerhtml') {
-                                // For outerHTML, we need to replace the target element entirely
-                                const wrapper = document.createElement('div');
-                                renderComponent(componentInstance, wrapper);
-                                target.outerHTML = wrapper.innerHTML;
-                            } else if (swap === 'append' || swap === 'beforeend') {
-                                const wrapper = document.createElement('div');
-                                renderComponent(componentInstance, wrapper);
-                                target.insertAdjacentHTML('beforeend', wrapper.innerHTML);
-                            } else if (swap === 'prepend' || swap === 'afterbegin') {
-                                const wrapper = document.createElement('div');
-                                renderComponent(componentInstance, wrapper);
-                                target.insertAdjacentHTML('afterbegin', wrapper.innerHTML);
-                            } else if (swap === 'beforebegin') {
-                                const wrapper = document.createElement('div');
-                                renderComponent(componentInstance, wrapper);
-                                target.insertAdjacentHTML('beforebegin', wrapper.innerHTML);
-                            } else if (swap === 'afterend') {
-                                const wrapper = document.createElement('div');
-                                renderComponent(componentInstance, wrapper);
-                                target.insertAdjacentHTML('afterend', wrapper.innerHTML);
-                            } else {
-                                // Default innerHTML - clear target and render component directly
-                                renderComponent(componentInstance, target);
-                            }
-                        } catch (componentError) {
-                            console.warn('Failed to parse response as BaseDOM component, falling back to raw HTML:', componentError);
-                            // Fallback to raw HTML insertion
-                            applyRawHtmlSwap(target, html, fetchConfig);
-                        }
-                    } else {
-                        // Not a component, use raw HTML insertion
-                        applyRawHtmlSwap(target, html, fetchConfig);
-                    }
+    // Custom components receive the value as a prop and emit `update:<name>`
+    if (findCustomComponent(node.tagName)) {
+        const propName = argument || 'modelValue';
+        props[propName] = () => getter();
+        props[`onUpdate:${propName}`] = set;
+        return;
+    }
 
-                    // Handle URL updates
-                    if (fetchConfig['x-push-url'] === 'true') {
-                        history.pushState({}, '', url);
-                    } else if (fetchConfig['x-replace-url'] === 'true') {
-                        history.replaceState({}, '', url);
-                    }
-                } catch (error) {
-                    console.error('Fetch trigger error:', error);
-                }
-            };
-
-            // Helper function for raw HTML swapping
-            function applyRawHtmlSwap(target, html, fetchConfig) {
-                const swap = (fetchConfig['x-swap'] || 'innerHTML').toLowerCase();
-                if (swap === 'outerhtml') {
-                    target.outerHTML = html;
-                } else if (swap === 'append' || swap === 'beforeend') {
-                    target.insertAdjacentHTML('beforeend', html);
-                } else if (swap === 'prepend' || swap === 'afterbegin') {
-                    target.insertAdjacentHTML('afterbegin', html);
-                } else if (swap === 'beforebegin') {
-                    target.insertAdjacentHTML('beforebegin', html);
-                } else if (swap === 'afterend') {
-                    target.insertAdjacentHTML('afterend', html);
-                } else {
-                    target.innerHTML = html;
-                }
+    if (tagName === 'input' && type === 'checkbox') {
+        // Bound to an array, the checkbox adds or removes its value
+        const value = node.getAttribute('value') ?? 'on';
+        props.attrs.checked = computed(() => {
+            const current = getter();
+            return Array.isArray(current) ? current.includes(castModelValue(value, modifiers)) : !!current;
+        });
+        props.onChange = (event) => {
+            const current = getter();
+            if (Array.isArray(current)) {
+                const item = castModelValue(value, modifiers);
+                const next = current.filter(existing => existing !== item);
+                if (event.target.checked) next.push(item);
+                setter(next);
+            } else {
+                setter(event.target.checked);
             }
-
-            el.addEventListener(trigger, handleEvent);
         };
+    } else if (tagName === 'input' && type === 'radio') {
+        const value = node.getAttribute('value') ?? 'on';
+        props.attrs.checked = computed(() => String(getter()) === value);
+        props.onChange = (event) => {
+            if (event.target.checked) set(value);
+        };
+    } else if (tagName === 'input' || tagName === 'textarea') {
+        props.attrs.value = computed(() => getter());
+        const inputHandler = (event) => {
+            set(event.target.value);
+        };
+        if (!modifiers.includes('lazy')) props.onInput = inputHandler;
+        props.onChange = inputHandler;
+    } else if (tagName === 'select') {
+        props.attrs.value = computed(() => getter());
+        props.onChange = (event) => {
+            if (event.target.multiple) {
+                set(Array.from(event.target.selectedOptions, option => castModelValue(option.value, modifiers)));
+            } else {
+                set(event.target.value);
+            }
+        };
+    }
+    // Listeners with `eventOptions` are added on their own (see applyAttribute)
+    // instead of taking the element's single handler slot, so an `@change` /
+    // `@input` on the same element runs alongside the model
+    if (props.onChange) props.onChange.eventOptions = {};
+    if (props.onInput) props.onInput.eventOptions = {};
+}
+
+export const FetchDirective = {
+    controlFlow: false,
+    attributes: AJAX_ATTRIBUTES,
+    handle: (parsingContext, props) => {
+        const { node, context } = parsingContext;
+        const config = readAjaxConfig(node);
+        if (!config) return;
+        for (const attr of AJAX_ATTRIBUTES) {
+            if (node.hasAttribute(attr)) props.attrs[attr] = node.getAttribute(attr);
+        }
+        // Start triggers and streams while the element is mounted
+        let detach = null;
+        addLifecycleHook(props, 'onMount', (el) => { detach = attachAjax(el, config, context); });
+        addLifecycleHook(props, 'onUnmount', () => {
+            if (detach) detach();
+            detach = null;
+        });
     }
 };
 
@@ -460,7 +846,7 @@ export const xMountDirective = {
         const handler = evaluateExpression(mountExpr, context);
         
         if (typeof handler === 'function') {
-            props.onMount = handler;
+            addLifecycleHook(props, 'onMount', handler);
         }
     }
 };
@@ -477,7 +863,7 @@ export const xUnmountDirective = {
         const handler = evaluateExpression(unmountExpr, context);
         
         if (typeof handler === 'function') {
-            props.onUnmount = handler;
+            addLifecycleHook(props, 'onUnmount', handler);
         }
     }
 };
@@ -494,37 +880,19 @@ export const xUpdateDirective = {
         const handler = evaluateExpression(updateExpr, context);
         
         if (typeof handler === 'function') {
-            props.onUpdate = handler;
+            addLifecycleHook(props, 'onUpdate', handler);
         }
     }
 };
 
 export const defaultDirective = {
     controlFlow: false,
+    attributes: [],
     handle: (parsingContext, props) => {
         const { node } = parsingContext;
         for (const attr of node.attributes) {
-            if (
-                !attr.name.startsWith('x-on:') &&
-                !attr.name.startsWith('@') &&
-                !attr.name.startsWith('x-bind:') &&
-                attr.name !== 'x-show' &&
-                attr.name !== 'x-model' &&
-                attr.name !== 'x-get' &&
-                attr.name !== 'x-post' &&
-                attr.name !== 'x-swap' &&
-                attr.name !== 'x-select' &&
-                attr.name !== 'x-trigger' &&
-                attr.name !== 'x-push-url' &&
-                attr.name !== 'x-replace-url' &&
-                attr.name !== 'x-target' &&
-                attr.name !== 'x-if' &&
-                attr.name !== 'x-else' &&
-                attr.name !== 'x-for' &&
-                attr.name !== 'x-mount' &&
-                attr.name !== 'x-unmount' &&
-                attr.name !== 'x-update'
-            ) {
+            // Attributes belonging to a registered directive are not rendered
+            if (!isDirectiveAttribute(attr.name)) {
                 props.attrs[attr.name] = attr.value;
             }
         }
@@ -535,6 +903,7 @@ export const defaultDirective = {
 // Handles <slot> and x-slot in parent templates
 export const slotDirective = {
     controlFlow: true,
+    attributes: [], // Matches <slot> elements, not an attribute
     handle: ({ node, context }) => {
         if (!node.tagName || node.tagName.toLowerCase() !== 'slot') return null;
         // Get slot name (default is 'default')
@@ -588,6 +957,9 @@ export const xSlotDirective = {
 };
 
 
+// Elements (or component instances) registered in $refs, for ordering ref arrays
+const refElements = new WeakMap();
+
 export const xRefDirective = {
     controlFlow: false,
     handle: (parsingContext, props) => {
@@ -596,13 +968,38 @@ export const xRefDirective = {
         // Check if this node has x-ref attribute
         if (!node.hasAttribute || !node.hasAttribute('x-ref')) return;
         
-        const refExpr = node.getAttribute('x-ref');
-        const refName = evaluateExpression(refExpr, context);
-        
-        // Attach ref to context
-        if (typeof refName === 'string' && context[refName]) {
-            context[refName] = node; // Assign the DOM element
+        const refName = node.getAttribute('x-ref').trim();
+        const refs = context.$refs;
+        if (!refs) {
+            if (window.devWarn) window.devWarn(`[directives.js/xRefDirective] x-ref="${refName}" used outside a component template.`);
+            return;
         }
+        // Refs inside x-for collect every item's element in an array
+        const inLoop = loopContexts.has(context);
+        let value = null;
+
+        addLifecycleHook(props, 'onMount', (element) => {
+            // Custom components expose their script context as the instance
+            value = element.__component || element;
+            refElements.set(value, element);
+            if (!inLoop) {
+                refs[refName] = value;
+                return;
+            }
+            const list = Array.isArray(refs[refName]) ? refs[refName].filter(item => item !== value) : [];
+            list.push(value);
+            list.sort((a, b) => (refElements.get(a).compareDocumentPosition(refElements.get(b)) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+            refs[refName] = list;
+        });
+        addLifecycleHook(props, 'onUnmount', () => {
+            if (value === null) return;
+            if (inLoop && Array.isArray(refs[refName])) {
+                refs[refName] = refs[refName].filter(item => item !== value);
+            } else if (refs[refName] === value) {
+                delete refs[refName];
+            }
+            value = null;
+        });
     }
 };
 
@@ -612,14 +1009,15 @@ registerDirective('x-slot', xSlotDirective);
 registerDirective('x-if', xIfDirective);
 registerDirective('x-else', xElseDirective);
 registerDirective('x-for', xForDirective);
+registerDirective('x-empty', xEmptyDirective);
 registerDirective('x-on', xOnDirective);
 registerDirective('@', xOnDirective);
 registerDirective('x-bind', xBindDirective);
 registerDirective('x-show', xShowDirective);
+registerDirective('x-transition', xTransitionDirective);
 registerDirective('x-model', xModelDirective);
 registerDirective('x-ref', xRefDirective);
 registerDirective('x-get', FetchDirective);
-registerDirective('x-post', FetchDirective);
 registerDirective('x-mount', xMountDirective);
 registerDirective('x-unmount', xUnmountDirective);
 registerDirective('x-update', xUpdateDirective);
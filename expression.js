@@ -1,4 +1,5 @@
 // expression.js
+import { isReactive, isResource } from './state.js';
 
 /**
  * Safe expression parser that supports complex JavaScript expressions
@@ -219,6 +220,12 @@ function _reactive(value) {
             return undefined;
         }
     }
+    // Reactive proxies track property reads themselves; copying them would
+    // subscribe to every property at once. Resources expose methods like
+    // refetch() that must not be called just by being read.
+    if (isReactive(value) || isResource(value)) {
+        return value;
+    }
     // Handle arrays - make them reactive-aware
     if (Array.isArray(value)) {
         return value.map(item => _reactive(item));
@@ -250,4 +257,42 @@ function evaluateExpression(expression, context) {
     return expressionParser.evaluate(expression, enhancedContext);
 }
 
-export { ExpressionParser, expressionParser, _reactive, evaluateExpression };
+/**
+ * Resolves the object an expression names without copying it, so writes reach
+ * the real object (or reactive proxy). Signals along a property path such as
+ * "todo" or "form.address" are unwrapped; other expressions are evaluated normally.
+ * @param {string} expression - The expression to resolve
+ * @param {object} context - The context containing variables
+ * @returns {*} The resolved value
+ */
+function resolveTarget(expression, context) {
+    expression = expression.trim();
+    if (!expressionParser.isSimplePropertyAccess(expression)) {
+        return evaluateExpression(expression, context);
+    }
+    const unwrap = (value) => {
+        while (typeof value === 'function') value = value();
+        return value;
+    };
+    const parts = expression.match(/[^.[\]]+/g);
+    let current = unwrap(context[parts[0]]);
+    for (let i = 1; i < parts.length; i++) {
+        if (current == null) return undefined;
+        current = unwrap(current[parts[i]]);
+    }
+    return current;
+}
+
+/**
+ * Parses a duration modifier argument like `300ms`, `1s` or `300` into ms.
+ * @param {string} arg
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseDuration(arg, fallback) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s)?$/.exec(arg || '');
+    if (!match) return fallback;
+    return parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+}
+
+export { ExpressionParser, expressionParser, _reactive, evaluateExpression, resolveTarget, parseDuration };
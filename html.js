@@ -11,7 +11,7 @@ export function raw(html) {
 // Helper for basic elements
 export const Element = (tag) => (optionsOrChildren, ...restChildren) => {
     // A list of common top-level options that are NOT attributes
-    const COMPONENT_OPTIONS_KEYS = ['children', 'styles', 'onMount', 'onUnmount', 'onUpdate', 'attrs'];
+    const COMPONENT_OPTIONS_KEYS = ['children', 'styles', 'onCreate', 'onMount', 'onUnmount', 'onUpdate', 'attrs', 'transition'];
     let options = {};
     let directChildren = []; // Children passed directly as arguments after options
 
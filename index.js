@@ -11,6 +11,8 @@ import { initialize, renderRoute } from './render.js';
 import { startRouter } from './router.js';
 // Import and register directives
 import './directives.js';
+export { registerEventModifier } from './directives.js';
+export { addRequestInterceptor, clearRequestCache } from './ajax.js';
 export function startApp(rootSelector = '#app') {
     function doStart() {
         startRouter();
@@ -33,6 +35,7 @@ export * from './render.js';
 export * from './router.js';
 export * from './parser.js';
 export * from './lifecycle.js';
+export * from './transition.js';
 
 // Development mode flag
 export const DEV_MODE = true;
@@ -44,6 +47,10 @@ export function devWarn(message, node) {
 if (DEV_MODE) {
     devWarn('Development mode is enabled', document.body);
     window.devWarn = devWarn;
+    // Dependency debugging: inspect from the console with getDependencyGraph() / whyDidThisRun(effect)
+    state.setDebugMode(true);
+    window.getDependencyGraph = state.getDependencyGraph;
+    window.whyDidThisRun = state.whyDidThisRun;
 } else {
     window.devWarn = () => {};
 }
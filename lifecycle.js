@@ -70,7 +70,9 @@ function processNodesRecursively(element, hookName, passElement = true, children
  */
 export function callOnMountRecursive(node) {
   if (node.nodeType === Node.ELEMENT_NODE) {
-    if (typeof node.__onMount === 'function') node.__onMount();
+    // Elements mounted earlier (e.g. by a reactive parent) aren't mounted twice
+    if (typeof node.__onMount === 'function' && !node.__mounted) node.__onMount(node);
+    node.__mounted = true;
     for (const child of node.children) {
       callOnMountRecursive(child);
     }
@@ -88,6 +90,7 @@ export function callOnMountRecursive(node) {
 export function callOnUnmountRecursive(node) {
   if (node.nodeType === Node.ELEMENT_NODE) {
     if (typeof node.__onUnmount === 'function') node.__onUnmount();
+    node.__mounted = false;
     for (const child of node.children) {
       callOnUnmountRecursive(child);
     }
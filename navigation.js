@@ -3,6 +3,7 @@
 import { renderRoute, escapeHtml, rootElementSelector, setCurrentView } from './render.js';
 import { findMatchingRoute, parseQuery } from './router.js';
 import { renderComponent, createComponent } from './components.js';
+import { callOnUnmountRecursive } from './lifecycle.js';
 import { signal } from './state.js';
 
 // --- Centralized Signals ---
@@ -20,6 +21,117 @@ export function restoreScroll(path) {
   window.scrollTo(pos.x, pos.y);
 }
 
+// --- Fragment History ---
+// Content swapped by x-push-url / x-replace-url is kept per history entry as live
+// nodes, so back/forward puts it back without re-rendering the route.
+const MAX_FRAGMENT_ENTRIES = 20;
+const fragmentEntries = new Map();
+let nextFragmentId = 1;
+// Disposers of swapped-in content -> the nodes it rendered with
+const fragmentRoots = new Map();
+
+function isReferenced(node) {
+  for (const entry of fragmentEntries.values()) {
+    if (entry.nodes.includes(node)) return true;
+  }
+  return false;
+}
+
+// Unmounts nodes that left the document and no history entry can bring back
+function releaseNodes(nodes) {
+  nodes.forEach(node => {
+    if (node.__mounted && !node.isConnected && !isReferenced(node)) callOnUnmountRecursive(node);
+  });
+  releaseRoots();
+}
+
+// Disposes swapped-in content once none of its nodes is shown or kept by an entry
+function releaseRoots() {
+  for (const [dispose, nodes] of fragmentRoots) {
+    if (nodes.some(node => node.isConnected || isReferenced(node))) continue;
+    fragmentRoots.delete(dispose);
+    dispose();
+  }
+}
+
+function rememberFragment(id, region, nodes) {
+  const previous = fragmentEntries.get(id);
+  fragmentEntries.delete(id);
+  fragmentEntries.set(id, { region, nodes });
+  if (previous) releaseNodes(previous.nodes);
+  while (fragmentEntries.size > MAX_FRAGMENT_ENTRIES) {
+    const [oldestId, oldest] = fragmentEntries.entries().next().value;
+    fragmentEntries.delete(oldestId);
+    releaseNodes(oldest.nodes);
+  }
+}
+
+// Drops entries whose region was replaced, e.g. by a route change
+function pruneFragments() {
+  for (const [id, entry] of fragmentEntries) {
+    if (!entry.region.isConnected) {
+      fragmentEntries.delete(id);
+      releaseNodes(entry.nodes);
+    }
+  }
+}
+
+/**
+ * Records a URL change made by a fetch-driven swap (x-push-url / x-replace-url).
+ * The region's content before the swap is kept for the current history entry,
+ * its content after the swap for the new (or replaced) one.
+ * Nodes removed by the swap must not have been unmounted; those no entry keeps are unmounted here.
+ * @param {string} path - The new URL.
+ * @param {HTMLElement} region - The element whose children the swap changed.
+ * @param {Array<Node>} previousNodes - The region's child nodes before the swap.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current entry instead of pushing one.
+ * @param {Array<Node>} [options.nodes] - The nodes the swap inserted.
+ * @param {Function} [options.dispose] - Disposes the swapped-in content; called once history no longer keeps `nodes`.
+ */
+export function commitFragmentUrl(path, region, previousNodes, { replace = false, nodes, dispose } = {}) {
+  const currentPath = currentRoute() ?? location.pathname + location.search;
+  saveScroll(currentPath, window.scrollX, window.scrollY);
+  const state = history.state || {};
+  let id = state.basedomFragment;
+  if (replace) {
+    id = id || nextFragmentId++;
+    history.replaceState({ ...state, basedomFragment: id }, '', path);
+  } else {
+    if (!id) {
+      id = nextFragmentId++;
+      history.replaceState({ ...state, basedomFragment: id }, '');
+    }
+    rememberFragment(id, region, previousNodes);
+    id = nextFragmentId++;
+    history.pushState({ basedomFragment: id }, '', path);
+  }
+  if (dispose) fragmentRoots.set(dispose, nodes || []);
+  rememberFragment(id, region, Array.from(region.childNodes));
+  releaseNodes(previousNodes);
+  setCurrentRoute(path);
+}
+
+/**
+ * Restores the fragment kept for a history entry on popstate.
+ * @param {object|null} state - The popstate event's state.
+ * @param {string} path - The URL navigated to.
+ * @returns {boolean} False if there is nothing to restore and the route should render instead.
+ */
+export function restoreFragment(state, path) {
+  const entry = state && fragmentEntries.get(state.basedomFragment);
+  if (!entry || !entry.region.isConnected) return false;
+  saveScroll(currentRoute() ?? path, window.scrollX, window.scrollY);
+  const { region, nodes } = entry;
+  const leaving = Array.from(region.childNodes);
+  leaving.forEach(node => region.removeChild(node));
+  nodes.forEach(node => region.appendChild(node));
+  releaseNodes(leaving);
+  setCurrentRoute(path);
+  restoreScroll(path);
+  return true;
+}
+
 // --- Global Navigation Guards ---
 const globalGuards = {
   beforeEnter: [],
@@ -107,7 +219,8 @@ async function handleScrollBehavior(targetRouteMatch, currentRouteMatch, path) {
 // --- Navigation ---
 export async function navigate(path, { replace = false, triggeredByPopstate = false } = {}) {
   if (pendingNavigation()) throw new Error('Navigation already in progress');
-  const currentPath = location.pathname + location.search;
+  // On popstate the location already shows the new path, so the rendered route is the one left
+  const currentPath = currentRoute() ?? location.pathname + location.search;
   if (path === currentPath && !replace) return;
   saveScroll(currentPath, window.scrollX, window.scrollY);
   try {
@@ -130,6 +243,7 @@ export async function navigate(path, { replace = false, triggeredByPopstate = fa
 
     // Render route and update signals
     await renderRoute(path);
+    pruneFragments();
     if (!triggeredByPopstate) {
       if (replace) history.replaceState({}, '', path);
       else history.pushState({}, '', path);
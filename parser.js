@@ -1,6 +1,6 @@
 // parser.js
 import { Element } from './html.js';
-import { computed } from './state.js';
+import { computed, effect, createScope, onCleanup, reactive, getOwner, runWithOwner, untrack } from './state.js';
 import { _reactive, evaluateExpression } from './expression.js';
 import { attachLifecycleHooks, wrapReactiveElement } from './lifecycle.js';
 import { getComponent } from './registry.js';
@@ -62,24 +62,37 @@ export async function parseComponent(htmlText) {
     let nodes = Array.from(doc.body.childNodes).filter(n => n.nodeType === Node.ELEMENT_NODE || n.nodeType === Node.TEXT_NODE);
     nodes = preprocessNodes(nodes);
     let cachedContext = null;
-    return (props) => {
+    // Each instance runs in its own scope, so effects created by the component's
+    // script are disposed when its root element unmounts or its parent goes away.
+    return (props) => createScope(disposeScope => {
+      onCleanup(() => { cachedContext = null; });
       const currentProps = props || {};
       if (!cachedContext || currentProps !== cachedContext.__lastProps) {
-        cachedContext = componentLogicFn(currentProps);
+        // Template refs (x-ref) are filled in as elements mount
+        const refs = reactive({});
+        cachedContext = componentLogicFn(currentProps, { emit: createEmit(currentProps), refs });
         cachedContext.__lastProps = currentProps;
+        cachedContext.$refs = refs;
       }
       const { onMount, onUnmount, onUpdate, ...otherContext } = cachedContext;
       const lifecycleHooks = { onMount, onUnmount, onUpdate };
+      // Only a single root element can own the scope; a reactive root (e.g. x-if)
+      // is swapped during the component's life, so it is left to the parent owner.
+      const scopedHooks = { onMount, onUnmount: () => { if (onUnmount) onUnmount(); disposeScope(); }, onUpdate };
+      let root;
       if (nodes.length === 1) {
         const element = parseNode(nodes[0], otherContext, styles);
-        return attachLifecycleHooksToElement(element, lifecycleHooks);
+        root = attachLifecycleHooksToElement(element, element instanceof HTMLElement ? scopedHooks : lifecycleHooks);
       } else if (nodes.length > 1) {
         const children = nodes.map(n => parseNode(n, otherContext, styles)).filter(Boolean);
-        return Element('div')({ children, ...(styles && { styles }), ...lifecycleHooks });
+        root = Element('div')({ children, ...(styles && { styles }), ...scopedHooks });
       } else {
-        return Element('div')({ children: 'No content', ...(styles && { styles }), ...lifecycleHooks });
+        root = Element('div')({ children: 'No content', ...(styles && { styles }), ...scopedHooks });
       }
-    };
+      // The script context is the component instance an x-ref on its tag receives
+      if (root instanceof HTMLElement) root.__component = cachedContext;
+      return root;
+    });
   } catch (error) {
     return () => Element('div')({
       style: { color: 'red', border: '1px solid red', padding: '10px' },
@@ -88,6 +101,21 @@ export async function parseComponent(htmlText) {
   }
 }
 
+/**
+ * Creates the `emit` function passed to a component script as `ctx.emit`.
+ * `emit('update:modelValue', value)` calls the `onUpdate:modelValue` prop, which
+ * x-model sets on custom components; `@update:modelvalue` listeners (lowercased
+ * by the HTML parser) are found too.
+ * @param {object} props - The component props.
+ * @returns {Function} `(event, ...args) => void`
+ */
+function createEmit(props) {
+  return (event, ...args) => {
+    const handler = props[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`] || props[`on${event}`.toLowerCase()];
+    if (typeof handler === 'function') handler(...args);
+  };
+}
+
 /**
  * Extracts the <template>, <script>, and <style> parts from the component file.
  * @param {string} htmlText - The raw text of the .html file.
@@ -137,12 +165,140 @@ function extractParts(htmlText) {
 const directiveRegistry = new Map();
 
 /**
- * Registers a directive handler.
- * @param {string} name - The directive name.
- * @param {object} handler - The directive handler object.
+ * Registers a directive.
+ *
+ * Built-in directives use the low-level form `{ controlFlow, preprocess?, handle, attributes? }`.
+ * Custom directives can instead define lifecycle hooks, each called as `hook(el, binding)`:
+ * - `created`: the element exists, with its attributes and children, but isn't in the document yet
+ * - `mounted`: the element was inserted
+ * - `updated`: the binding value changed (`binding.oldValue` holds the previous one)
+ * - `unmounted`: the element was removed
+ *
+ * The binding is `{ value, expression, arg, modifiers, context }`, where `value` is a
+ * signal getter for the evaluated expression. `x-tooltip:top.delay="text"` gives
+ * `arg: 'top'` and `modifiers: { delay: true }`.
+ *
+ * Attributes handled by a registered directive (its name, `name:arg` and `name.modifier`
+ * forms, or the names listed in `attributes`) are not rendered as plain attributes.
+ *
+ * @param {string} name - The directive attribute name, e.g. `x-focus`.
+ * @param {object} handler - The directive definition.
+ * @param {Array<string>} [handler.attributes] - Attribute names the directive handles (defaults to `[name]`).
  */
 export function registerDirective(name, handler) {
-    directiveRegistry.set(name, handler);
+    const isHookDirective = typeof handler.handle !== 'function' &&
+        ['created', 'mounted', 'updated', 'unmounted'].some(hook => typeof handler[hook] === 'function');
+    directiveRegistry.set(name, isHookDirective ? createHookDirective(name, handler) : handler);
+}
+
+/**
+ * Adds a lifecycle hook to directive props, keeping any hook another directive set.
+ * @param {object} props - The props being built.
+ * @param {'onCreate'|'onMount'|'onUnmount'|'onUpdate'} hookName - The hook name.
+ * @param {Function} hook - The hook.
+ */
+export function addLifecycleHook(props, hookName, hook) {
+    const existing = props[hookName];
+    props[hookName] = existing ? (...args) => { existing(...args); hook(...args); } : hook;
+}
+
+/**
+ * Builds a low-level directive handler from a hook-style definition.
+ * @param {string} name - The directive attribute name.
+ * @param {object} definition - `{ created?, mounted?, updated?, unmounted? }`.
+ * @returns {object} The directive handler.
+ */
+function createHookDirective(name, definition) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const attributePattern = new RegExp(`^${escaped}(?::([^.]+))?((?:\\.[^.]+)*)$`);
+    return {
+        ...definition,
+        controlFlow: false,
+        handle: ({ node, context }, props) => {
+            if (!node.attributes) return;
+            for (const attr of Array.from(node.attributes)) {
+                const match = attr.name.match(attributePattern);
+                if (!match) continue;
+                const expression = attr.value;
+                const modifiers = {};
+                match[2].split('.').filter(Boolean).forEach(modifier => { modifiers[modifier] = true; });
+                const value = computed(() => {
+                    if (!expression.trim()) return undefined;
+                    try {
+                        return _reactive(evaluateExpression(expression, context));
+                    } catch (error) {
+                        if (window.devWarn) window.devWarn(`[parser.js/${name}] Error evaluating '${expression}':`, error);
+                        return undefined;
+                    }
+                });
+                const binding = { value, expression, arg: match[1], modifiers, context };
+                bindHookDirective(definition, binding, props);
+            }
+        }
+    };
+}
+
+/**
+ * Wires the hooks of a custom directive to the element's lifecycle.
+ * @param {object} definition - The hook-style directive definition.
+ * @param {object} binding - The directive binding.
+ * @param {object} props - The props being built.
+ */
+function bindHookDirective(definition, binding, props) {
+    // Watchers for `updated` live in the owner the element was parsed in
+    const owner = getOwner();
+    let element = null;
+    let stopWatching = null;
+    const call = (hook, extra) => {
+        if (typeof definition[hook] !== 'function') return;
+        try {
+            untrack(() => definition[hook](element, extra ? { ...binding, ...extra } : binding));
+        } catch (error) {
+            if (window.devWarn) window.devWarn(`[parser.js/directive] Error in ${hook} hook:`, error);
+        }
+    };
+    addLifecycleHook(props, 'onCreate', (el) => {
+        element = el;
+        call('created');
+    });
+    addLifecycleHook(props, 'onMount', (el) => {
+        element = el;
+        call('mounted');
+        if (typeof definition.updated === 'function' && !stopWatching) {
+            let previous = binding.value();
+            stopWatching = runWithOwner(owner, () => effect(() => {
+                const current = binding.value();
+                if (Object.is(current, previous)) return;
+                const oldValue = previous;
+                previous = current;
+                call('updated', { oldValue });
+            }));
+        }
+    });
+    addLifecycleHook(props, 'onUnmount', () => {
+        if (stopWatching) stopWatching();
+        stopWatching = null;
+        call('unmounted');
+    });
+}
+
+/**
+ * Returns true if an attribute is handled by a registered directive, so it
+ * shouldn't be rendered as a plain attribute.
+ * Symbol names like `@` match as prefixes; other names match exactly or with
+ * an `:arg` / `.modifier` suffix.
+ * @param {string} attrName - The attribute name.
+ * @returns {boolean}
+ */
+export function isDirectiveAttribute(attrName) {
+    for (const [name, directive] of directiveRegistry) {
+        const names = directive.attributes || [name];
+        const matches = names.some(directiveName => /^\W+$/.test(directiveName)
+            ? attrName.startsWith(directiveName)
+            : attrName === directiveName || attrName.startsWith(`${directiveName}:`) || attrName.startsWith(`${directiveName}.`));
+        if (matches) return true;
+    }
+    return false;
 }
 
 /**
@@ -196,10 +352,10 @@ function processDirectives(node, context, parsingContext) {
  * @param {string} tagName - The tag name to search for.
  * @returns {Function|null} The component function or null.
  */
-function findCustomComponent(tagName) {
+export function findCustomComponent(tagName) {
   let registryNames = [tagName, tagName.toLowerCase()];
   if (tagName.includes('-')) {
-    const pascal = tagName.replace(/(^|\-)([a-z])/g, (_, __, c) => c.toUpperCase());
+    const pascal = tagName.toLowerCase().replace(/(^|\-)([a-z])/g, (_, __, c) => c.toUpperCase());
     registryNames.push(pascal);
     registryNames.push(pascal.toLowerCase());
   }
@@ -233,6 +389,34 @@ function parseNodeAttributes(node, context) {
   return attrs;
 }
 
+/**
+ * Parses the child nodes of an element, running directive preprocessors on them
+ * first so sibling directives (e.g. x-if/x-else) pair up at every level.
+ * @param {Node} node - The parent DOM node.
+ * @param {object} context - The component context.
+ * @param {string|null} componentStyles - Optional scoped CSS styles.
+ * @returns {Array} The parsed children, without null/undefined entries.
+ */
+function parseChildren(node, context, componentStyles) {
+    return preprocessNodes(Array.from(node.childNodes))
+        .map(child => parseNode(child, context, componentStyles))
+        .filter(child => child !== null && child !== undefined);
+}
+
+/**
+ * Parses an HTML string (e.g. a fetched fragment) like template markup, so its
+ * directives and bindings are processed against `context`.
+ * @param {string} html - The HTML to parse.
+ * @param {object} context - The component context.
+ * @param {string|null} componentStyles - Optional scoped CSS styles.
+ * @returns {Array} The parsed children (elements, text nodes or reactive functions).
+ */
+export function parseFragment(html, context, componentStyles = null) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return parseChildren(template.content, context, componentStyles);
+}
+
 /**
  * Recursively parses a DOM node into a BaseDOM component.
  * @param {Node} node - The DOM node to parse.
@@ -254,17 +438,25 @@ export function parseNode(node, context, componentStyles = null) {
             componentStyles
         };
         const directiveResult = processDirectives(node, context, parsingContext);
+        // Lifecycle hooks from directives (x-ref, x-mount...) apply to the rendered component
+        let hooks = {};
+        let onCreate = null;
         if (directiveResult && typeof directiveResult === 'object') {
-            Object.assign(attrs, directiveResult.attrs || {});
-            for (const k of Object.keys(directiveResult)) {
-                if (k !== 'attrs') attrs[k] = directiveResult[k];
+            const { onCreate: created, onMount, onUnmount, onUpdate, ...rest } = directiveResult;
+            hooks = { onMount, onUnmount, onUpdate };
+            onCreate = created;
+            Object.assign(attrs, rest.attrs || {});
+            for (const k of Object.keys(rest)) {
+                if (k !== 'attrs') attrs[k] = rest[k];
             }
         }
-        const children = Array.from(node.childNodes).map(child => parseNode(child, context, componentStyles)).filter(child => child !== null && child !== undefined);
+        const children = parseChildren(node, context, componentStyles);
         attrs.children = children;
         if (componentStyles) attrs.styles = componentStyles;
         window.devWarn('[parser.js/parseNode] Rendering custom component', { tagName: node.tagName, attrs });
-        return componentFn(attrs);
+        const rendered = componentFn(attrs);
+        if (onCreate && rendered instanceof HTMLElement) onCreate(rendered);
+        return attachLifecycleHooksToElement(rendered, hooks);
     }
 
     // Normal element
@@ -278,7 +470,7 @@ export function parseNode(node, context, componentStyles = null) {
     }
     const props = directiveResult || { attrs: {} };
     if (componentStyles) props.styles = componentStyles;
-    const children = Array.from(node.childNodes).map(child => parseNode(child, context, componentStyles)).filter(Boolean);
+    const children = parseChildren(node, context, componentStyles).filter(Boolean);
     return Element(node.tagName.toLowerCase())({ ...props, children });
 }
 
@@ -3,10 +3,12 @@
 
 import { findMatchingRoute, parseQuery, routes } from './router.js';
 import { renderComponent, createComponent } from './components.js';
-import { signal } from './state.js';
+import { signal, isResource, createRoot, onCleanup } from './state.js';
 import { parseComponent } from './parser.js';
-import { devWarn } from './index.js';
 
+// index.js installs the dev logger; importing it from there would pull the
+// whole library (directives, ajax) into a cycle with this module.
+const devWarn = (...args) => window.devWarn && window.devWarn(...args);
 
 let errorBoundary = null;
 
@@ -25,6 +27,8 @@ const [currentView, setCurrentView] = signal(null);
 export { setCurrentView };
 let prevRoutes = [];
 const componentCache = new Map();
+// Reactive roots for rendered routes, keyed by 'view' (the whole route tree) or outlet name.
+const routeRoots = new Map();
 
 
 async function resolveComponent(component) {
@@ -62,6 +66,42 @@ async function resolveComponent(component) {
   }
 }
 
+// Runs a route's `load` hook and waits for its data. Resources are passed
+// through as-is (already resolved), so the component can still refetch or mutate them.
+// `load` runs in a root of its own; its `dispose` goes to the route root the
+// data is rendered in, so resources created in it stop when the route is left.
+async function loadRouteData(route, params, query) {
+  if (!route.load) return { data: undefined, dispose: () => {} };
+  let dispose;
+  try {
+    const data = await createRoot(d => {
+      dispose = d;
+      return route.load({ params, query });
+    });
+    if (isResource(data)) await data.ready();
+    return { data, dispose };
+  } catch (error) {
+    dispose();
+    throw error;
+  }
+}
+
+// Builds route content in its own reactive root, disposing the root previously
+// rendered into the same slot. A full 'view' render replaces every outlet too.
+// `disposers` (from loadRouteData) are disposed along with the root.
+function renderInRouteRoot(slot, fn, disposers = []) {
+  const replaced = slot === 'view' ? [...routeRoots.keys()] : [slot];
+  for (const key of replaced) {
+    routeRoots.get(key)?.();
+    routeRoots.delete(key);
+  }
+  return createRoot(dispose => {
+    routeRoots.set(slot, dispose);
+    disposers.forEach(d => onCleanup(d));
+    return fn();
+  });
+}
+
 function isPartialOutletUpdate(prevRoutes, newRoutes) {
   if (!prevRoutes || !newRoutes) return false;
   if (prevRoutes.length === 0) return false;
@@ -99,22 +139,45 @@ export function setRootElement(selector) {
 
 async function composeNestedLayouts(matched, params, query) {
   let childFn = null;
+  const disposers = [];
   for (let i = matched.length - 1; i >= 0; i--) {
     const { route, params: routeParams } = matched[i];
     devWarn(`Composing layout: ${route.path}`);
-    const componentFn = await resolveComponent(route.componentFn);
+    let componentFn, data;
+    try {
+      componentFn = await resolveComponent(route.componentFn);
+      const loaded = await loadRouteData(route, { ...routeParams, ...params }, query);
+      data = loaded.data;
+      disposers.push(loaded.dispose);
+    } catch (error) {
+      disposers.forEach(d => d());
+      throw error;
+    }
     const currentChild = childFn;
     childFn = () => {
       const props = {
         params: { ...routeParams, ...params },
         query,
         children: currentChild,
-        outlet: route.outlet || (i === matched.length - 1 ? 'main' : undefined)
+        outlet: route.outlet || (i === matched.length - 1 ? 'main' : undefined),
+        data
       };
       return componentFn(props);
     };
   }
-  return childFn ? childFn() : null;
+  if (!childFn) return null;
+  // The leaf's data lives in its outlet's slot, so a partial outlet update disposes it
+  const [leafDispose, ...layoutDisposers] = disposers;
+  let element;
+  try {
+    element = renderInRouteRoot('view', childFn, layoutDisposers);
+  } catch (error) {
+    leafDispose();
+    throw error;
+  }
+  const leaf = matched[matched.length - 1].route;
+  routeRoots.set(leaf.outlet || 'main', leafDispose);
+  return element;
 }
 
 export async function renderRoute(pathname) {
@@ -159,13 +222,16 @@ export async function renderRoute(pathname) {
           : `[x-outlet="${outletName}"]`;
         const outlet = document.querySelector(outletSelector);
         if (outlet) {
+          const leafParams = { ...leaf.params, ...match.params };
+          const { data, dispose } = await loadRouteData(leaf.route, leafParams, query);
           const props = {
-            params: { ...leaf.params, ...match.params },
+            params: leafParams,
             query,
             children: undefined,
-            outlet: outletName
+            outlet: outletName,
+            data
           };
-          renderComponent(() => componentFn(props), outlet);
+          renderComponent(() => renderInRouteRoot(outletName, () => componentFn(props), [dispose]), outlet);
           prevRoutes = newRoutes;
           return;
         } else {
@@ -198,7 +264,7 @@ export async function renderRoute(pathname) {
         }
         // Fallback to full root replacement if no outlet is present
         const componentFn = await resolveComponent(fallbackRoute.componentFn);
-        element = componentFn(props);
+        element = renderInRouteRoot('view', () => componentFn(props));
       } else {
         element = notFoundElement;
       }
@@ -1,13 +1,14 @@
 // router.js
 // Core router for SPA navigation and route matching
 import { renderRoute } from './render.js';
-import { attachLinkInterception, navigate } from './navigation.js';
+import { attachLinkInterception, navigate, restoreFragment } from './navigation.js';
 
 export const routes = [];
 
 /**
  * Defines a route and its children, adding to the global routes array if top-level.
- * @param {object|string} config - Route config or path string.
+ * @param {object|string} config - Route config or path string. A config may include
+ *   `load: ({ params, query }) => data`, awaited before rendering and passed as `props.data`.
  * @param {function} componentFn - Component function to render.
  * @param {object} [guards={}] - Route-specific navigation guards.
  * @param {boolean} [isChild=false] - Internal flag for child routes.
@@ -20,7 +21,7 @@ function defineRoute(config, componentFn, guards = {}, isChild = false, inherite
     ? { path: config, component: componentFn, guards }
     : { ...config, component: config.component || componentFn, guards: config.guards || {} };
   const combinedMeta = { ...inheritedMeta, ...(routeConfig.meta || {}) };
-  const { path, component, children, scrollBehavior } = routeConfig;
+  const { path, component, children, scrollBehavior, load } = routeConfig;
 
   // Path normalization
   const normalizedPath = isChild
@@ -54,6 +55,7 @@ function defineRoute(config, componentFn, guards = {}, isChild = false, inherite
     guards: routeConfig.guards || {},
     meta: combinedMeta,
     scrollBehavior: typeof scrollBehavior === 'function' ? scrollBehavior : undefined,
+    load: typeof load === 'function' ? load : undefined,
     children: children?.map(child => {
       const childRoute = defineRoute(child, child.component, child.guards, true, combinedMeta);
       childRoute.fullPath = joinPaths(finalPath, childRoute.path);
@@ -149,8 +151,11 @@ export function findMatchingRoute(path) {
  * Initializes router: popstate and link interception.
  */
 export function startRouter() {
-  window.addEventListener('popstate', () => {
-    navigate(location.pathname + location.search, { triggeredByPopstate: true });
+  window.addEventListener('popstate', (event) => {
+    const path = location.pathname + location.search;
+    // Entries created by x-push-url restore their swapped content instead of re-rendering
+    if (restoreFragment(event.state, path)) return;
+    navigate(path, { triggeredByPopstate: true });
   });
   attachLinkInterception();
 }
\ No newline at end of file
@@ -1,41 +1,693 @@
 // state.js
 
-let currentEffect = null;
+// --- Reactive Graph ---
+// Signals, computeds and effects are all nodes. Sources (signals and computeds)
+// carry a `version` that increments whenever their value changes, and observers
+// (computeds and effects) remember the version of every source they read.
+// A write pushes a STALE mark to everything downstream and queues stale effects;
+// stale nodes are then pulled back up to date lazily, recomputing only if one of
+// their sources' versions actually moved. This keeps diamonds glitch-free: a node
+// is never evaluated before all of its sources have settled.
+const CLEAN = 0;
+const STALE = 1;
+const DIRTY = 2;
+
+let currentObserver = null;
+let nodeId = 0;
+
+// --- Ownership ---
+// Independently of what they read, effects and computeds belong to the owner
+// that was active when they were created: another effect or computed, a root
+// from `createRoot`, or a scope from `createScope`. Disposing an owner disposes
+// everything created beneath it and runs its `onCleanup` callbacks, so whole
+// subtrees (a component, a route, a list item) can be torn down at once.
+let currentOwner = null;
 
 /**
- * Creates a reactive signal containing a value.
- * If the first argument is a string, it becomes a persistent signal stored in sessionStorage.
- * @param {string|*} nameOrValue - The key for persistent state or the initial value for a transient signal.
- * @param {*} [initialValueIfPersistent] - The initial value if the signal is persistent. This is ignored for transient signals.
- * @returns {[Function, Function]} A tuple containing a getter and a setter function.
+ * Creates an owner scope.
+ * @param {object|null} parent - The owner that disposes this scope, or null for a root.
+ * @returns {object} The owner.
  */
-export function signal(nameOrValue, initialValueIfPersistent) {
-    const isPersistent = typeof nameOrValue === 'string' && initialValueIfPersistent !== undefined;
-    // If it's a persistent signal, use the name as the key and the initial value as
-    const key = isPersistent ? nameOrValue : null;
-    let value = isPersistent ? initialValueIfPersistent : nameOrValue;
+function createOwner(parent) {
+    const owner = { owner: parent, cleanups: [], disposed: false };
+    owner.dispose = () => disposeOwner(owner);
+    if (parent) parent.cleanups.push(owner.dispose);
+    return owner;
+}
 
-    // For persistent signals, try to load the value from sessionStorage.
-    if (isPersistent) {
+/**
+ * Runs and clears an owner's cleanups (child disposals and `onCleanup` callbacks).
+ * @param {object} owner - The owner, effect or computed.
+ */
+function runCleanups(owner) {
+    const cleanups = owner.cleanups;
+    owner.cleanups = [];
+    for (const cleanupFn of cleanups) {
         try {
-            const storedValue = sessionStorage.getItem(key);
-            if (storedValue !== null) {
-                value = JSON.parse(storedValue);
+            cleanupFn();
+        } catch (error) {
+            console.error('Error in effect cleanup:', error);
+        }
+    }
+}
+
+/**
+ * Removes an owner's dispose function from its parent, so long-lived parents
+ * don't accumulate references to children that were disposed early.
+ * @param {object} owner - The owner, effect or computed.
+ */
+function detachFromOwner(owner) {
+    const parent = owner.owner;
+    if (!parent) return;
+    const index = parent.cleanups.indexOf(owner.dispose);
+    if (index !== -1) parent.cleanups.splice(index, 1);
+    owner.owner = null;
+}
+
+/**
+ * Disposes an owner scope and everything created beneath it.
+ * @param {object} owner - The owner.
+ */
+function disposeOwner(owner) {
+    if (owner.disposed) return;
+    owner.disposed = true;
+    runCleanups(owner);
+    detachFromOwner(owner);
+}
+
+/**
+ * Creates a graph node.
+ * @param {'signal'|'computed'|'effect'} kind - The node kind.
+ * @param {object} [fields] - Kind-specific fields.
+ * @returns {object} The node.
+ */
+function createNode(kind, fields = {}) {
+    const node = {
+        id: ++nodeId,
+        kind,
+        version: 0,
+        state: kind === 'signal' ? CLEAN : DIRTY,
+        sources: new Map(),     // source node -> version seen when last read
+        observers: new Set(),
+        owner: null,
+        cleanups: [],
+        disposed: false,
+        name: undefined,
+        runCount: 0,
+        ...fields
+    };
+    if (kind !== 'signal') {
+        node.dispose = () => disposeNode(node);
+        node.dispose[NODE] = node;
+        node.owner = currentOwner;
+        if (currentOwner) currentOwner.cleanups.push(node.dispose);
+        if (debugMode) registerDebugNode(node);
+    }
+    return node;
+}
+
+/**
+ * Registers `source` as a dependency of the currently running observer.
+ * @param {object} source - The signal or computed node being read.
+ */
+function track(source) {
+    if (currentObserver && !currentObserver.disposed) {
+        currentObserver.sources.set(source, source.version);
+        source.observers.add(currentObserver);
+    }
+}
+
+/**
+ * Marks every observer downstream of `source` as stale and queues stale effects.
+ * @param {object} source - The node whose value changed.
+ */
+function markStale(source) {
+    for (const observer of source.observers) {
+        // A node writing a source it already read re-runs once it finishes
+        if (observer.running) {
+            observer.rerun = true;
+            continue;
+        }
+        if (observer.state === STALE) continue;
+        // Dirty nodes (e.g. a computed that threw) still pass staleness on
+        if (observer.state === CLEAN) observer.state = STALE;
+        if (activeWrite) observer.trigger = activeWrite;
+        if (observer.kind === 'effect') scheduleEffect(observer);
+        else markStale(observer);
+    }
+}
+
+/**
+ * Bumps a source's version and propagates staleness to its observers.
+ * @param {object} source - The node whose value changed.
+ * @param {*} [previous] - The old value, recorded for debugging.
+ * @param {*} [value] - The new value, recorded for debugging.
+ */
+function notifyChange(source, previous, value) {
+    source.version++;
+    const prevWrite = activeWrite;
+    if (debugMode) activeWrite = { source, previous, value, stack: new Error().stack, time: Date.now() };
+    try {
+        batch(() => markStale(source));
+    } finally {
+        activeWrite = prevWrite;
+    }
+}
+
+/**
+ * Brings a computed or effect node up to date, re-running it only if a source
+ * it read last time has a newer version.
+ * @param {object} node - The node to refresh.
+ */
+function refreshNode(node) {
+    if (node.disposed) return;
+    if (node.state === STALE) {
+        node.state = CLEAN;
+        for (const [source, seenVersion] of node.sources) {
+            if (source.kind === 'computed') {
+                try {
+                    refreshNode(source);
+                } catch {
+                    // Re-run the node so the error surfaces where it reads the source
+                    node.state = DIRTY;
+                    break;
+                }
+            }
+            if (source.version !== seenVersion) {
+                node.state = DIRTY;
+                if (debugMode) node.changedSource = source;
+                break;
             }
-        } catch (e) {
-            console.warn(`Error loading persistent signal "${key}":`, e);
         }
     }
+    if (node.state === DIRTY) {
+        if (node.kind === 'computed') updateComputed(node);
+        else runNode(node);
+    }
+}
 
-    const dependents = new Set();
+/**
+ * Unsubscribes a node from its sources and runs its registered cleanups
+ * (including the disposal of effects and computeds created inside it).
+ * @param {object} node - The node to clean up.
+ */
+function cleanupNode(node) {
+    for (const source of node.sources.keys()) source.observers.delete(node);
+    node.sources.clear();
+    runCleanups(node);
+}
 
-    const get = () => {
-        // If there's an active effect, register it as a dependent.
-        if (currentEffect) {
-            dependents.add(currentEffect);
-            // The effect also tracks a cleanup function for this dependency.
-            currentEffect.dependencies.add(() => dependents.delete(currentEffect));
+/**
+ * Runs a node's function with the node as the current observer and owner,
+ * recording every source it reads.
+ * @param {object} node - The computed or effect node.
+ * @returns {*} The function's return value.
+ */
+function runNode(node) {
+    cleanupNode(node);
+    const prevObserver = currentObserver;
+    const prevOwner = currentOwner;
+    currentObserver = node;
+    currentOwner = node;
+    if (debugMode) recordRun(node);
+    node.runCount++;
+    node.running = true;
+    node.rerun = false;
+    try {
+        const result = node.fn();
+        node.state = CLEAN;
+        // An effect may return a cleanup function, run before its next run and on dispose.
+        if (node.kind === 'effect' && typeof result === 'function') node.cleanups.push(result);
+        return result;
+    } catch (error) {
+        // Leave the node dirty so the next read retries.
+        node.state = DIRTY;
+        throw error;
+    } finally {
+        currentObserver = prevObserver;
+        currentOwner = prevOwner;
+        node.running = false;
+        if (node.rerun && !node.disposed) {
+            node.rerun = false;
+            node.state = DIRTY;
+            if (node.kind === 'effect') scheduleEffect(node);
+            else markStale(node);
         }
+    }
+}
+
+/**
+ * Recomputes a computed node and bumps its version if the value changed.
+ * @param {object} node - The computed node.
+ */
+function updateComputed(node) {
+    const newValue = runNode(node);
+    if (!node.hasValue || !node.equals(node.value, newValue)) {
+        node.value = newValue;
+        node.hasValue = true;
+        node.version++;
+    }
+}
+
+/**
+ * Permanently detaches a node from the graph.
+ * @param {object} node - The node to dispose.
+ */
+function disposeNode(node) {
+    if (node.disposed) return;
+    node.disposed = true;
+    pendingEffects.delete(node);
+    cleanupNode(node);
+    detachFromOwner(node);
+    if (node.debugRef) debugNodes.delete(node.debugRef);
+}
+
+/**
+ * Runs a function without registering any signal it reads as a dependency of
+ * the current effect or computed. Ownership is unaffected: effects created
+ * inside are still disposed with the current owner.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+export function untrack(fn) {
+    const prevObserver = currentObserver;
+    currentObserver = null;
+    try {
+        return fn();
+    } finally {
+        currentObserver = prevObserver;
+    }
+}
+
+/**
+ * Creates a detached reactive root. Everything created inside `fn` is owned by
+ * the root and lives until the root's dispose function is called; the root is
+ * not disposed with the owner it was created under. Reads inside `fn` are untracked.
+ * @param {Function} fn - Receives the root's `dispose` function.
+ * @returns {*} The return value of `fn`.
+ */
+export function createRoot(fn) {
+    const root = createOwner(null);
+    return runWithOwner(root, () => fn(root.dispose));
+}
+
+/**
+ * Creates an owner scope nested in the current owner. Everything created inside
+ * `fn` is disposed when the scope's dispose function is called, or when the
+ * parent owner is disposed or re-runs, whichever comes first.
+ * @param {Function} fn - Receives the scope's `dispose` function.
+ * @returns {*} The return value of `fn`.
+ */
+export function createScope(fn) {
+    const scope = createOwner(currentOwner);
+    const prevOwner = currentOwner;
+    currentOwner = scope;
+    try {
+        return fn(scope.dispose);
+    } finally {
+        currentOwner = prevOwner;
+    }
+}
+
+/**
+ * Returns the current owner, to later create effects under it with `runWithOwner`
+ * (e.g. from an async callback).
+ * @returns {object|null} The current owner.
+ */
+export function getOwner() {
+    return currentOwner;
+}
+
+/**
+ * Runs a function with the given owner, untracked.
+ * @param {object|null} owner - An owner returned by `getOwner`.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+export function runWithOwner(owner, fn) {
+    const prevOwner = currentOwner;
+    const prevObserver = currentObserver;
+    currentOwner = owner;
+    currentObserver = null;
+    try {
+        return fn();
+    } finally {
+        currentOwner = prevOwner;
+        currentObserver = prevObserver;
+    }
+}
+
+// --- Debugging ---
+// With debug mode on (index.js enables it when DEV_MODE is set), every write
+// records where it came from, and every effect/computed run records which
+// source changed and which write started the chain, for `whyDidThisRun`.
+// Live effects and computeds are tracked weakly for `getDependencyGraph`.
+let debugMode = false;
+let activeWrite = null;
+const NODE = Symbol('node');
+const debugNodes = new Set();   // WeakRefs to effect and computed nodes
+
+/**
+ * Turns dependency debugging on or off. Only nodes created while it is on are
+ * listed by `getDependencyGraph()` without arguments.
+ * @param {boolean} enabled
+ */
+export function setDebugMode(enabled) {
+    debugMode = !!enabled;
+}
+
+function registerDebugNode(node) {
+    if (typeof WeakRef === 'undefined') return;
+    node.debugRef = new WeakRef(node);
+    debugNodes.add(node.debugRef);
+}
+
+function recordRun(node) {
+    node.lastRun = {
+        reason: node.runCount === 0 ? 'initial' : node.changedSource ? 'dependency-changed' : 'rerun',
+        changedSource: node.changedSource || null,
+        trigger: node.trigger || null,
+        time: Date.now()
+    };
+    node.changedSource = null;
+    node.trigger = null;
+}
+
+function describeNode(node) {
+    return { id: node.id, name: node.name || `${node.kind}#${node.id}`, kind: node.kind };
+}
+
+/**
+ * Resolves an effect's dispose function or a signal/computed getter to its node.
+ * @param {Function} target
+ * @returns {object}
+ */
+function getNode(target) {
+    const node = target && target[NODE];
+    if (!node) throw new Error('Expected an effect dispose function or a signal/computed getter.');
+    return node;
+}
+
+/**
+ * Explains the most recent run of an effect or computed: why it ran, which of its
+ * sources changed, and the write that set it off (with the writer's stack trace).
+ * Requires debug mode (DEV_MODE).
+ * @param {Function} target - The dispose function returned by `effect`, or a computed getter.
+ * @returns {object|null} `{ node, runCount, reason, changedSource, trigger, time }`, or null if unknown.
+ */
+export function whyDidThisRun(target) {
+    const node = getNode(target);
+    if (!debugMode) {
+        console.warn('whyDidThisRun() needs debug mode; enable DEV_MODE or call setDebugMode(true).');
+        return null;
+    }
+    const run = node.lastRun;
+    if (!run) return null;
+    return {
+        node: describeNode(node),
+        runCount: node.runCount,
+        reason: run.reason,
+        changedSource: run.changedSource && describeNode(run.changedSource),
+        trigger: run.trigger && {
+            source: describeNode(run.trigger.source),
+            previous: run.trigger.previous,
+            value: run.trigger.value,
+            stack: run.trigger.stack,
+            time: run.trigger.time
+        },
+        time: run.time
+    };
+}
+
+/**
+ * Returns the reactive dependency graph as plain data.
+ * With a target, only the nodes it depends on (transitively) and the nodes that
+ * depend on it are included; without one, every live effect and computed created
+ * in debug mode, plus their sources.
+ * @param {Function} [target] - An effect dispose function or a signal/computed getter.
+ * @returns {{nodes: object[], edges: {from: number, to: number}[]}} Nodes carry
+ *   `id`, `name`, `kind`, `value` (signals and computeds), `runCount`, `disposed`,
+ *   `sources` and `observers` (ids). Edges point from a source to its observer.
+ */
+export function getDependencyGraph(target) {
+    const found = new Set();
+    const visit = (node, direction) => {
+        if (found.has(node) && direction !== 'both') return;
+        found.add(node);
+        if (direction !== 'down') for (const source of node.sources.keys()) visit(source, 'up');
+        if (direction !== 'up') for (const observer of node.observers) visit(observer, 'down');
+    };
+    if (target) {
+        visit(getNode(target), 'both');
+    } else {
+        for (const ref of debugNodes) {
+            const node = ref.deref();
+            if (!node || node.disposed) debugNodes.delete(ref);
+            else visit(node, 'up');
+        }
+    }
+    const nodes = [];
+    const edges = [];
+    for (const node of found) {
+        nodes.push({
+            ...describeNode(node),
+            value: node.kind === 'signal' ? node.peek?.() : node.kind === 'computed' ? node.value : undefined,
+            runCount: node.runCount,
+            disposed: node.disposed,
+            sources: [...node.sources.keys()].map(source => source.id),
+            observers: [...node.observers].map(observer => observer.id)
+        });
+        for (const source of node.sources.keys()) edges.push({ from: source.id, to: node.id });
+    }
+    return { nodes, edges };
+}
+
+// --- Update Scheduling ---
+// Effects marked stale by a write are queued here and flushed in creation order,
+// so a parent effect always runs (and disposes its children) before them.
+let batchDepth = 0;
+let isFlushing = false;
+let flushScheduled = false;
+let flushMode = 'sync';
+const pendingEffects = new Set();
+const MAX_FLUSH_RUNS = 100000;
+let flushPromise = Promise.resolve();
+
+/**
+ * Runs all queued effects once each, in dependency order.
+ * Effects queued while flushing (e.g. by a computed updating its value) are
+ * picked up in the same flush.
+ */
+function flushEffects() {
+    if (isFlushing) return;
+    isFlushing = true;
+    flushScheduled = false;
+    let runs = 0;
+    try {
+        while (pendingEffects.size) {
+            if (++runs > MAX_FLUSH_RUNS) {
+                pendingEffects.clear();
+                console.error('Effect flush aborted: effects keep re-triggering each other (possible infinite loop).');
+                break;
+            }
+            let next = null;
+            for (const node of pendingEffects) {
+                if (!next || node.id < next.id) next = node;
+            }
+            pendingEffects.delete(next);
+            refreshNode(next);
+        }
+    } finally {
+        isFlushing = false;
+    }
+}
+
+/**
+ * Flushes pending effects now or on the next microtask, depending on the mode.
+ * Does nothing while a batch or a flush is in progress.
+ */
+function requestFlush() {
+    if (batchDepth > 0 || isFlushing || !pendingEffects.size) return;
+    if (flushMode === 'microtask') {
+        if (!flushScheduled) {
+            flushScheduled = true;
+            flushPromise = Promise.resolve().then(flushEffects);
+        }
+    } else {
+        flushEffects();
+    }
+}
+
+/**
+ * Queues an effect node to be re-validated in the next flush.
+ * @param {object} node The effect node to queue.
+ */
+function scheduleEffect(node) {
+    pendingEffects.add(node);
+    requestFlush();
+}
+
+/**
+ * Groups several signal writes so dependent effects run once, after all writes
+ * complete. Batches can be nested; effects flush when the outermost batch ends.
+ * @param {Function} fn The function performing the writes.
+ * @returns {*} The return value of `fn`.
+ */
+export function batch(fn) {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        requestFlush();
+    }
+}
+
+/**
+ * Sets how effects are flushed after a write outside of `batch`.
+ * - 'sync' (default): effects run immediately after each write.
+ * - 'microtask': writes in the same tick are coalesced and effects run in a microtask.
+ * @param {'sync'|'microtask'} mode The flush mode.
+ */
+export function setFlushMode(mode) {
+    if (mode !== 'sync' && mode !== 'microtask') {
+        throw new Error(`Unknown flush mode: ${mode}`);
+    }
+    flushMode = mode;
+}
+
+/**
+ * Returns a promise that resolves once all pending effects have run.
+ * Useful in 'microtask' mode to wait for the DOM to reflect the latest writes.
+ * @returns {Promise<void>}
+ */
+export function tick() {
+    if (!flushScheduled) flushEffects();
+    return flushPromise;
+}
+
+// --- Equality ---
+
+/**
+ * Compares arrays item by item and plain objects key by key, using `Object.is`
+ * one level deep.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+    }
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Structurally compares arrays, plain objects, Dates, Maps and Sets at any depth.
+ * Map keys are compared by identity; Map values and Set members structurally.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+    }
+    if (a instanceof Map && b instanceof Map) {
+        if (a.size !== b.size) return false;
+        for (const [key, val] of a) {
+            if (!b.has(key) || !deepEqual(val, b.get(key))) return false;
+        }
+        return true;
+    }
+    if (a instanceof Set && b instanceof Set) {
+        if (a.size !== b.size) return false;
+        // Members without an identical counterpart are matched structurally,
+        // each member of `b` at most once
+        const unmatched = [...b].filter(item => !a.has(item));
+        for (const item of a) {
+            if (b.has(item)) continue;
+            const index = unmatched.findIndex(other => deepEqual(item, other));
+            if (index === -1) return false;
+            unmatched.splice(index, 1);
+        }
+        return true;
+    }
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Normalizes an `equals` option to a comparator.
+ * @param {Function|false|'shallow'|'deep'|undefined} equals
+ * @returns {Function} `(prev, next) => boolean`; true suppresses the update.
+ */
+function resolveEquals(equals) {
+    if (equals === undefined || equals === true) return Object.is;
+    if (equals === false) return () => false;
+    if (equals === 'shallow') return shallowEqual;
+    if (equals === 'deep') return deepEqual;
+    if (typeof equals === 'function') return equals;
+    throw new Error(`Invalid equals option: ${equals}`);
+}
+
+/**
+ * Creates a reactive signal containing a value.
+ * If the first argument is a string and a second one is given, it becomes a
+ * persistent signal stored in sessionStorage (shorthand for
+ * `persistentSignal({ key, initial, storage: 'session' })`). Options then go in
+ * the third argument, so a persisted object is never mistaken for options.
+ * @param {string|*} nameOrValue - The key for persistent state or the initial value for a transient signal.
+ * @param {*} [initialValueOrOptions] - The initial value if the first argument is a string, otherwise options.
+ * @param {object} [options] - Options when the first argument is a string.
+ * @param {Function|false|'shallow'|'deep'} [options.equals=Object.is] - Decides whether a write
+ *   is a change. `false` notifies on every write (e.g. after mutating an array in place); 'shallow' and 'deep'
+ *   compare structurally so writing an equal object does not re-run dependents.
+ * @param {string} [options.name] - A name shown by the debugging tools (the storage key for persistent signals).
+ * @returns {[Function, Function]} A tuple containing a getter and a setter function.
+ */
+export function signal(nameOrValue, initialValueOrOptions, options) {
+    if (typeof nameOrValue !== 'string') return createSignal(nameOrValue, initialValueOrOptions);
+    if (initialValueOrOptions === undefined) return createSignal(nameOrValue, options);
+    return persistentSignal({
+        key: nameOrValue,
+        initial: initialValueOrOptions,
+        storage: 'session',
+        sync: false,
+        equals: options && options.equals,
+        name: (options && options.name) || nameOrValue
+    });
+}
+
+/**
+ * Creates a transient signal.
+ * @param {*} initialValue - The initial value.
+ * @param {object} [options] - `{ equals, name }`, as for `signal`.
+ * @returns {[Function, Function]} A getter and a setter.
+ */
+function createSignal(initialValue, options = {}) {
+    const equals = resolveEquals(options.equals);
+    let value = initialValue;
+
+    const node = createNode('signal', { name: options.name, peek: () => value });
+
+    const get = () => {
+        // If there's an active observer, register this signal as its source.
+        track(node);
         return value;
     };
 
@@ -44,113 +696,644 @@ export function signal(nameOrValue, initialValueIfPersistent) {
         const newValue = typeof setter === 'function' ? setter(value) : setter;
 
         // Only trigger updates if the value has actually changed.
-        if (!Object.is(value, newValue)) {
+        if (!equals(value, newValue)) {
+            const previous = value;
             value = newValue;
 
-            // If the signal is persistent, save the new value to sessionStorage.
-            if (isPersistent) {
-                try {
-                    sessionStorage.setItem(key, JSON.stringify(value));
-                } catch (e) {
-                    console.error(`Error saving signal "${key}":`, e);
-                }
-            }
-
-            // Run all dependent effects.
-            // Iterate over a copy to prevent issues if an effect modifies the Set.
-            for (const effectRunner of [...dependents]) {
-                effectRunner();
-            }
+            // Mark dependents stale; effects among them run once per flush.
+            notifyChange(node, previous, value);
         }
     };
 
+    // Read the current value without subscribing to it.
+    get.peek = () => value;
+    get[NODE] = node;
+
     return [get, set];
 }
 
 
+/**
+ * Registers a function to run before the current effect or computed re-runs,
+ * and when it or the current root/scope is disposed (e.g. when its component unmounts).
+ * @param {Function} fn The cleanup function.
+ */
+export function onCleanup(fn) {
+    if (!currentOwner) {
+        console.warn('onCleanup() called outside of an effect, computed or root; it will never run.');
+        return;
+    }
+    currentOwner.cleanups.push(fn);
+}
+
 /**
  * Creates a function that runs automatically when its tracked signals change.
  * It handles its own dependency cleanup to prevent memory leaks.
+ * If `fn` returns a function, it is called before the next run and on dispose,
+ * like a cleanup registered with `onCleanup`.
  * @param {Function} fn The function to run as an effect.
+ * @param {object} [options]
+ * @param {string} [options.name] - A name shown by the debugging tools (defaults to `fn.name`).
  * @returns {Function} A `dispose` function to manually stop the effect.
  */
-export function effect(fn) {
-    let disposed = false;
+export function effect(fn, options = {}) {
+    // The node registers with the current owner (a parent effect, computed,
+    // root or scope), so it is disposed when the owner re-runs or is disposed.
+    const node = createNode('effect', { fn, name: options.name || fn.name || undefined });
 
-    const cleanupDependencies = () => {
-        // Run all cleanup functions for previous dependencies and clear the set.
-        runner.dependencies.forEach(cleanupFn => cleanupFn());
-        runner.dependencies.clear();
-    };
+    // Run the effect once to establish initial dependencies.
+    runNode(node);
 
-    const runner = () => {
-        if (disposed) return;
+    // Return a `dispose` function for manual cleanup (e.g., in onUnmount).
+    return node.dispose;
+}
 
-        // Clean up previous dependencies before re-running the effect.
-        cleanupDependencies();
+/**
+ * Creates a memoized, read-only signal that re-computes its value only when
+ * its underlying dependencies change.
+ * The computation is lazy: it runs on first read, and after a dependency
+ * changes it re-runs only when read again. Readers never observe a value
+ * computed from a mix of old and new dependency values.
+ * @param {Function} fn The function to compute the value.
+ * @param {object} [options]
+ * @param {Function|false|'shallow'|'deep'} [options.equals=Object.is] - Decides whether a recomputed
+ *   value counts as a change for dependents (see `signal`).
+ * @param {string} [options.name] - A name shown by the debugging tools (defaults to `fn.name`).
+ * @returns {Function} A getter function for the computed value.
+ */
+export function computed(fn, options = {}) {
+    const node = createNode('computed', {
+        fn,
+        value: undefined,
+        hasValue: false,
+        equals: resolveEquals(options.equals),
+        name: options.name || fn.name || undefined
+    });
 
-        // Set this runner as the `currentEffect` to be tracked by signals.
-        const prevEffect = currentEffect;
-        currentEffect = runner;
+    const getter = () => {
         try {
-            // Run the user's function. Any `get()` calls inside will register dependencies.
-            fn();
+            refreshNode(node);
         } finally {
-            // Restore the previous effect context.
-            currentEffect = prevEffect;
+            // Subscribe even if it threw, so the reader re-runs once it recovers
+            track(node);
         }
+        return node.value;
     };
 
-    runner.dependencies = new Set();
+    // Read the up-to-date value without subscribing to it.
+    getter.peek = () => {
+        refreshNode(node);
+        return node.value;
+    };
 
-    const dispose = () => {
-        if (disposed) return;
-        disposed = true;
-        cleanupDependencies();
+    // Attach dispose method for cleanup
+    getter.dispose = node.dispose;
+    getter[NODE] = node;
+
+    return getter;
+}
+
+/**
+ * Wraps a function so that only the given dependencies are tracked.
+ * Use it as the body of an `effect` or `computed`:
+ * `effect(on([a, b], ([a, b], prev) => ...))`. Signals read inside `fn` are untracked.
+ * @param {Function|Function[]} deps - A getter or array of getters to track.
+ * @param {Function} fn - Called with `(input, prevInput)`, where input is the getter's value
+ *   (or array of values); its return value is passed through (e.g. as a cleanup function).
+ * @param {object} [options]
+ * @param {boolean} [options.defer=false] - Skip calling `fn` on the first run.
+ * @returns {Function} The tracking function.
+ */
+export function on(deps, fn, { defer = false } = {}) {
+    const isMulti = Array.isArray(deps);
+    let prevInput;
+    let isFirstRun = true;
+    return () => {
+        const input = isMulti ? deps.map(dep => dep()) : deps();
+        if (defer && isFirstRun) {
+            isFirstRun = false;
+            prevInput = input;
+            return undefined;
+        }
+        isFirstRun = false;
+        const result = untrack(() => fn(input, prevInput));
+        prevInput = input;
+        return result;
     };
+}
+
+// --- Async Resources ---
+const RESOURCE = Symbol('resource');
 
-    // If this effect is being created inside another running effect,
-    // register its dispose function to be called when the parent cleans up.
-    if (currentEffect) {
-        currentEffect.dependencies.add(dispose);
+/**
+ * Creates an async resource that fetches data whenever its source changes.
+ * The source is tracked like an effect; a null, undefined or false source value
+ * skips fetching. When the source changes while a request is in flight, the old
+ * request is aborted and its result ignored.
+ * Can also be called as `resource(fetcher, options)` to fetch once on creation.
+ * @param {Function} source - A getter (signal or computed) whose value is passed to the fetcher.
+ * @param {Function} fetcher - `(sourceValue, { signal, value, refetching }) => Promise`, where
+ *   `signal` is an AbortSignal for the request and `value` the current data.
+ * @param {object} [options]
+ * @param {*} [options.initialValue] - The value of `data()` before the first fetch resolves.
+ * @returns {{data: Function, loading: Function, error: Function, refetch: Function, mutate: Function, ready: Function}}
+ *   `ready()` returns a Promise that settles with the data once the current request finishes.
+ */
+export function resource(source, fetcher, options) {
+    if (typeof fetcher !== 'function') {
+        options = fetcher;
+        fetcher = source;
+        source = null;
     }
+    const { initialValue } = options || {};
+    const [data, setData] = signal(initialValue);
+    const [loading, setLoading] = signal(false);
+    const [error, setError] = signal(undefined);
+    let controller = null;
+    let requestId = 0;
+    let lastSourceValue;
+    let pending = Promise.resolve(initialValue);
 
-    // Run the effect once to establish initial dependencies.
-    runner();
+    const load = (sourceValue, refetching = false) => {
+        controller?.abort();
+        controller = null;
+        const id = ++requestId;
+        if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+            setLoading(false);
+            pending = Promise.resolve(data.peek());
+            return pending;
+        }
+        const requestController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        controller = requestController;
+        batch(() => {
+            setLoading(true);
+            setError(undefined);
+        });
+        pending = Promise.resolve()
+            // Superseded before it started (e.g. the source changed twice in a row).
+            .then(() => (id === requestId
+                ? fetcher(sourceValue, { signal: requestController?.signal, value: data.peek(), refetching })
+                : undefined))
+            .then(value => {
+                if (id === requestId) {
+                    batch(() => {
+                        setData(() => value);
+                        setLoading(false);
+                    });
+                    controller = null;
+                }
+                return data.peek();
+            }, err => {
+                if (id === requestId) {
+                    batch(() => {
+                        setError(() => err);
+                        setLoading(false);
+                    });
+                    controller = null;
+                }
+                return data.peek();
+            });
+        return pending;
+    };
 
-    // Return a `dispose` function for manual cleanup (e.g., in onUnmount).
-    return dispose;
+    effect(() => {
+        lastSourceValue = source ? source() : true;
+        untrack(() => load(lastSourceValue));
+        onCleanup(() => controller?.abort());
+    });
+
+    return {
+        [RESOURCE]: true,
+        data,
+        loading,
+        error,
+        refetch: () => load(lastSourceValue, true),
+        mutate: value => setData(() => value),
+        ready: () => pending
+    };
 }
 
 /**
- * Creates a memoized, read-only signal that re-computes its value only when
- * its underlying dependencies change.
- * @param {Function} fn The function to compute the value.
- * @returns {Function} A getter function for the computed value.
+ * Checks whether a value was created by `resource`.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
  */
-export function computed(fn) {
-    let value;
-    let hasValue = false;
-    const [getValue, setValue] = signal(undefined);
-    
-    // Use effect to track dependencies and update the value
-    const dispose = effect(() => {
-        const newValue = fn();
-        if (!hasValue || !Object.is(value, newValue)) {
-            value = newValue;
-            hasValue = true;
-            setValue(newValue);
+export function isResource(value) {
+    return !!(value && typeof value === 'object' && value[RESOURCE]);
+}
+
+// --- Persistent Signals ---
+// A storage adapter is any object with `getItem(key)`, `setItem(key, text)` and
+// `removeItem(key)`; each may return a value or a Promise. Adapters that can
+// observe writes from other tabs also implement `subscribe(key, callback)`,
+// which calls `callback(text)` (null when removed) and returns an unsubscribe function.
+
+/**
+ * Wraps a Web Storage area (localStorage or sessionStorage) as a storage adapter.
+ * Cross-tab changes are observed through the window `storage` event.
+ * @param {Storage} area - The storage area.
+ * @returns {object} The storage adapter.
+ */
+export function createWebStorage(area) {
+    return {
+        getItem: key => area.getItem(key),
+        setItem: (key, text) => area.setItem(key, text),
+        removeItem: key => area.removeItem(key),
+        subscribe(key, callback) {
+            const handler = (e) => {
+                if (e.storageArea === area && e.key === key) callback(e.newValue);
+            };
+            window.addEventListener('storage', handler);
+            return () => window.removeEventListener('storage', handler);
         }
-    });
-    
-    // Return a getter that returns the current computed value
-    const getter = () => {
-        getValue(); // This registers dependency on the computed signal
-        return value;
     };
-    
-    // Attach dispose method for cleanup
-    getter.dispose = dispose;
-    
-    return getter;
+}
+
+/**
+ * Creates an in-memory storage adapter. Values last for the page's lifetime;
+ * useful for tests and for environments without Web Storage.
+ * @returns {object} The storage adapter.
+ */
+export function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, text) => { items.set(key, String(text)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/**
+ * Creates an IndexedDB-backed storage adapter. All operations are asynchronous,
+ * so signals using it start with their initial value and update once loaded.
+ * Writes are broadcast to other tabs through a BroadcastChannel.
+ * @param {object} [options]
+ * @param {string} [options.dbName='basedom'] - The database name.
+ * @param {string} [options.storeName='signals'] - The object store name (one per database).
+ * @returns {object} The storage adapter.
+ */
+export function createIndexedDBStorage({ dbName = 'basedom', storeName = 'signals' } = {}) {
+    let dbPromise = null;
+    const openDb = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+    const run = (mode, operation) => openDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    }));
+    const channel = typeof BroadcastChannel !== 'undefined'
+        ? new BroadcastChannel(`basedom:${dbName}/${storeName}`)
+        : null;
+
+    return {
+        getItem: key => run('readonly', store => store.get(key)).then(text => (text === undefined ? null : text)),
+        setItem: (key, text) => run('readwrite', store => store.put(text, key))
+            .then(() => channel?.postMessage({ key, text })),
+        removeItem: key => run('readwrite', store => store.delete(key))
+            .then(() => channel?.postMessage({ key, text: null })),
+        subscribe(key, callback) {
+            if (!channel) return () => {};
+            const handler = (e) => {
+                if (e.data?.key === key) callback(e.data.text);
+            };
+            channel.addEventListener('message', handler);
+            return () => channel.removeEventListener('message', handler);
+        }
+    };
+}
+
+const builtInStorages = {
+    local: () => createWebStorage(globalThis.localStorage),
+    session: () => createWebStorage(globalThis.sessionStorage),
+    memory: () => createMemoryStorage(),
+    indexeddb: () => createIndexedDBStorage()
+};
+const resolvedStorages = new Map();
+
+/**
+ * Resolves a storage option to an adapter, sharing one instance per built-in name.
+ * Falls back to memory storage when the requested backend is unavailable.
+ * @param {string|object} storage - 'local', 'session', 'memory', 'indexeddb' or an adapter.
+ * @returns {object} The storage adapter.
+ */
+function resolveStorage(storage) {
+    if (typeof storage === 'object' && storage !== null) return storage;
+    if (!builtInStorages[storage]) throw new Error(`Unknown storage backend: ${storage}`);
+    if (!resolvedStorages.has(storage)) {
+        let adapter;
+        try {
+            adapter = builtInStorages[storage]();
+            if (storage === 'local' || storage === 'session') {
+                // Accessing Web Storage can throw (privacy modes, sandboxed frames).
+                adapter.getItem('__basedom__');
+            } else if (storage === 'indexeddb' && typeof indexedDB === 'undefined') {
+                throw new Error('IndexedDB is not available');
+            }
+        } catch (e) {
+            console.warn(`Storage "${storage}" is unavailable, falling back to memory:`, e);
+            adapter = createMemoryStorage();
+        }
+        resolvedStorages.set(storage, adapter);
+    }
+    return resolvedStorages.get(storage);
+}
+
+/**
+ * JSON serializer that round-trips Date, Map and Set values.
+ */
+export const jsonSerializer = {
+    stringify(value) {
+        return JSON.stringify(value, function (key, val) {
+            // `this[key]` is the value before Date#toJSON was applied.
+            const original = this[key];
+            if (original instanceof Date) return { __type: 'Date', value: original.toJSON() };
+            if (original instanceof Map) return { __type: 'Map', value: [...original] };
+            if (original instanceof Set) return { __type: 'Set', value: [...original] };
+            return val;
+        });
+    },
+    parse(text) {
+        return JSON.parse(text, (key, val) => {
+            if (val && typeof val === 'object' && typeof val.__type === 'string' && 'value' in val) {
+                if (val.__type === 'Date') return new Date(val.value);
+                if (val.__type === 'Map') return new Map(val.value);
+                if (val.__type === 'Set') return new Set(val.value);
+            }
+            return val;
+        });
+    }
+};
+
+const VERSION_KEY = '__version';
+
+/**
+ * Creates a signal whose value is saved to a storage backend and restored on load.
+ * @param {object} options
+ * @param {string} options.key - The storage key.
+ * @param {*} [options.initial] - The value used when nothing is stored yet.
+ * @param {string|object} [options.storage='local'] - 'local', 'session', 'memory', 'indexeddb' or a custom adapter.
+ * @param {{stringify: Function, parse: Function}} [options.serializer=jsonSerializer] - Converts values to and from text.
+ * @param {number} [options.version] - Schema version. When set, the value is stored with its version and
+ *   older entries are passed through `migrate` (entries written without a version count as version 0).
+ * @param {Function} [options.migrate] - `(value, fromVersion) => value` upgrading a stored value to `version`.
+ *   Without it, entries from another version are discarded in favour of `initial`.
+ * @param {boolean} [options.sync=true] - Follow changes made in other tabs, when the backend supports it.
+ * @param {Function|false|'shallow'|'deep'} [options.equals] - Change detection, as for `signal`.
+ * @param {string} [options.name=key] - A name shown by the debugging tools.
+ * @returns {[Function, Function]} A getter and a setter. The getter has a `ready` Promise that resolves once
+ *   the stored value has been loaded, and a `dispose` function that stops cross-tab syncing.
+ */
+export function persistentSignal({
+    key,
+    initial,
+    storage = 'local',
+    serializer = jsonSerializer,
+    version,
+    migrate,
+    sync = true,
+    equals,
+    name = key
+} = {}) {
+    if (typeof key !== 'string' || !key) throw new Error('persistentSignal requires a string `key`');
+    const adapter = resolveStorage(storage);
+    const [get, setValue] = createSignal(initial, { equals, name });
+    let writtenLocally = false;
+
+    const encode = value => serializer.stringify(version === undefined ? value : { [VERSION_KEY]: version, value });
+
+    const save = (value) => {
+        try {
+            const result = adapter.setItem(key, encode(value));
+            if (result && typeof result.catch === 'function') {
+                result.catch(e => console.error(`Error saving signal "${key}":`, e));
+            }
+        } catch (e) {
+            console.error(`Error saving signal "${key}":`, e);
+        }
+    };
+
+    // Applies stored text to the signal, migrating it if needed. Does not write
+    // back unless a migration changed the stored shape.
+    const load = (text) => {
+        if (text === null || text === undefined) return;
+        try {
+            let value = serializer.parse(text);
+            if (version !== undefined) {
+                let storedVersion = 0;
+                if (value && typeof value === 'object' && VERSION_KEY in value) {
+                    storedVersion = value[VERSION_KEY];
+                    value = value.value;
+                }
+                if (storedVersion !== version) {
+                    if (typeof migrate !== 'function') {
+                        console.warn(`Discarding persistent signal "${key}" stored at version ${storedVersion} (expected ${version}).`);
+                        return;
+                    }
+                    value = migrate(value, storedVersion);
+                    setValue(value);
+                    save(value);
+                    return;
+                }
+            }
+            setValue(value);
+        } catch (e) {
+            console.warn(`Error loading persistent signal "${key}":`, e);
+        }
+    };
+
+    const set = (setter) => {
+        writtenLocally = true;
+        const previous = get.peek();
+        setValue(setter);
+        const next = get.peek();
+        // Compare before/after rather than re-applying `equals`: with `equals: false`
+        // an in-place mutation leaves the same reference but must still be saved.
+        if (!Object.is(previous, next) || equals === false) save(next);
+    };
+
+    let stored = null;
+    try {
+        stored = adapter.getItem(key);
+    } catch (e) {
+        console.warn(`Error loading persistent signal "${key}":`, e);
+    }
+    if (stored && typeof stored.then === 'function') {
+        // Async backends: keep `initial` until loaded, and never clobber a value
+        // the app has already written in the meantime.
+        get.ready = stored
+            .then(text => { if (!writtenLocally) load(text); })
+            .catch(e => console.warn(`Error loading persistent signal "${key}":`, e));
+    } else {
+        load(stored);
+        get.ready = Promise.resolve();
+    }
+
+    const unsubscribe = sync && typeof adapter.subscribe === 'function'
+        ? adapter.subscribe(key, text => (text === null ? setValue(initial) : load(text)))
+        : () => {};
+    get.dispose = unsubscribe;
+    // Stop syncing when created inside a component or root that goes away.
+    if (currentOwner) currentOwner.cleanups.push(unsubscribe);
+
+    return [get, set];
+}
+
+// --- Deep Reactive Objects ---
+// Each proxied object keeps one signal node per property key, created on first
+// read. Reads inside an effect or computed subscribe to that key only; writes
+// notify only the observers of the key that changed. For arrays, `length` also
+// stands for "the set of items", so anything iterating the array re-runs when
+// items are added or removed.
+const RAW = Symbol('raw');
+const ITERATE_KEY = Symbol('iterate');
+const proxyCache = new WeakMap();   // raw object -> proxy
+const keyNodes = new WeakMap();     // raw object -> Map<key, node>
+
+/**
+ * Checks whether a value can be wrapped by `reactive` (plain objects and arrays).
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isProxyable(value) {
+    return Array.isArray(value) || isPlainObject(value);
+}
+
+function getKeyNode(target, key) {
+    let nodes = keyNodes.get(target);
+    if (!nodes) keyNodes.set(target, nodes = new Map());
+    let node = nodes.get(key);
+    if (!node) nodes.set(key, node = createNode('signal', { name: String(key), peek: () => target[key] }));
+    return node;
+}
+
+function trackKey(target, key) {
+    if (currentObserver) track(getKeyNode(target, key));
+}
+
+function triggerKey(target, key, previous, value) {
+    const node = keyNodes.get(target)?.get(key);
+    if (node) notifyChange(node, previous, value);
+}
+
+// Mutating array methods read `length` internally; running them untracked and
+// batched means an effect calling `list.push(x)` does not subscribe to the list,
+// and observers re-run once per call rather than once per touched index.
+const arrayInstrumentations = {};
+['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'].forEach(method => {
+    arrayInstrumentations[method] = function (...args) {
+        return batch(() => untrack(() => Array.prototype[method].apply(this, args)));
+    };
+});
+// Search methods compare by identity, so retry with raw arguments when a caller
+// passes a raw object that is stored in the array (or vice versa).
+['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+    arrayInstrumentations[method] = function (...args) {
+        const target = toRaw(this);
+        trackKey(target, 'length');
+        for (let i = 0; i < target.length; i++) trackKey(target, String(i));
+        const result = Array.prototype[method].apply(target, args);
+        return (result === -1 || result === false)
+            ? Array.prototype[method].apply(target, args.map(toRaw))
+            : result;
+    };
+});
+
+const reactiveHandler = {
+    get(target, key, receiver) {
+        if (key === RAW) return target;
+        if (Array.isArray(target) && Object.prototype.hasOwnProperty.call(arrayInstrumentations, key)) {
+            return arrayInstrumentations[key];
+        }
+        const value = Reflect.get(target, key, receiver);
+        if (typeof key === 'symbol') return value;
+        trackKey(target, key);
+        return isProxyable(value) ? reactive(value) : value;
+    },
+    set(target, key, value, receiver) {
+        const isArray = Array.isArray(target);
+        const rawValue = toRaw(value);
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+        const oldValue = target[key];
+        const oldLength = isArray ? target.length : 0;
+        const result = Reflect.set(target, key, rawValue, receiver);
+        batch(() => {
+            if (!hadKey || !Object.is(oldValue, rawValue)) triggerKey(target, key, oldValue, rawValue);
+            if (isArray) {
+                if (target.length !== oldLength) triggerKey(target, 'length');
+                // Shrinking via `length = n` drops the trailing indices.
+                for (let i = target.length; i < oldLength; i++) triggerKey(target, String(i));
+            } else if (!hadKey) {
+                triggerKey(target, ITERATE_KEY);
+            }
+        });
+        return result;
+    },
+    deleteProperty(target, key) {
+        const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+        const result = Reflect.deleteProperty(target, key);
+        if (hadKey && result) {
+            batch(() => {
+                triggerKey(target, key);
+                triggerKey(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+            });
+        }
+        return result;
+    },
+    has(target, key) {
+        if (typeof key !== 'symbol') trackKey(target, key);
+        return Reflect.has(target, key);
+    },
+    ownKeys(target) {
+        trackKey(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+        return Reflect.ownKeys(target);
+    }
+};
+
+/**
+ * Creates a deeply reactive proxy of a plain object or array.
+ * Property reads inside effects and computeds are tracked per key, and nested
+ * objects and arrays are wrapped lazily on access, so `user.address.city = 'Oslo'`
+ * only re-runs what read `user.address.city`. Array mutations (`push`, `splice`, ...)
+ * notify anything iterating the array.
+ * Other objects (Map, Set, Date, class instances) are returned unchanged.
+ * @param {object|Array} target - The object to make reactive.
+ * @returns {object|Array} The reactive proxy (the same proxy for the same object).
+ */
+export function reactive(target) {
+    if (!isProxyable(target)) return target;
+    if (target[RAW]) return target;
+    let proxy = proxyCache.get(target);
+    if (!proxy) {
+        proxy = new Proxy(target, reactiveHandler);
+        proxyCache.set(target, proxy);
+    }
+    return proxy;
+}
+
+/**
+ * Alias of `reactive`, for app-level state objects.
+ */
+export const store = reactive;
+
+/**
+ * Checks whether a value is a proxy created by `reactive`.
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+export function isReactive(value) {
+    return !!(value && typeof value === 'object' && value[RAW]);
+}
+
+/**
+ * Returns the raw object behind a reactive proxy (or the value itself).
+ * @param {*} value - A reactive proxy or any value.
+ * @returns {*} The raw value.
+ */
+export function toRaw(value) {
+    return (value && typeof value === 'object' && value[RAW]) || value;
 }
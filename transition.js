@@ -0,0 +1,298 @@
+/**
+ * Transitions for BaseDOM
+ *
+ * Elements carrying a transition config (`x-transition` in templates, or the
+ * `transition` option of `createComponent`) are animated when they are inserted,
+ * removed, shown or hidden, and when they move within a keyed list:
+ * - enter: `enter-from` + `enter-active`, then `enter-to` on the next frame
+ * - leave: `leave-from` + `leave-active`, then `leave-to`; removal waits for the end
+ * - move:  FLIP, with the `move` class applied while the element slides into place
+ *
+ * Classes are prefixed with the transition name (`fade-enter-from`) when one is set.
+ * Completion is detected from transitionend/animationend, with a timeout derived
+ * from the computed durations as a fallback.
+ */
+
+const PHASES = ['enter-from', 'enter-active', 'enter-to', 'leave-from', 'leave-active', 'leave-to', 'move'];
+
+/**
+ * Normalizes a transition config.
+ * @param {object|string|boolean} config - A config object, a name, or `true` for unnamed.
+ * @param {string} [config.name] - Prefix for the phase classes.
+ * @param {object} [config.classes] - Class overrides per phase, e.g. `{ 'enter-active': 'ease-out duration-300' }`.
+ * @param {number} [config.duration] - Explicit duration in ms instead of reading computed styles.
+ * @param {Function} [config.onBeforeEnter] - `(el)` before the enter classes are applied.
+ * @param {Function} [config.onEnter] - `(el, done)`; when it takes `done`, it decides when enter ends.
+ * @param {Function} [config.onAfterEnter] - `(el)` after enter ends.
+ * @param {Function} [config.onEnterCancelled] - `(el)` when a leave interrupts enter.
+ * @param {Function} [config.onBeforeLeave] - `(el)` before the leave classes are applied.
+ * @param {Function} [config.onLeave] - `(el, done)`; when it takes `done`, it decides when leave ends.
+ * @param {Function} [config.onAfterLeave] - `(el)` after leave ends and the element is removed.
+ * @param {Function} [config.onLeaveCancelled] - `(el)` when an enter interrupts leave.
+ * @returns {object} The normalized config.
+ */
+export function normalizeTransition(config) {
+    if (typeof config === 'string') config = { name: config };
+    if (!config || typeof config !== 'object') config = {};
+    const prefix = config.name ? `${config.name}-` : '';
+    const classes = {};
+    PHASES.forEach(phase => {
+        const override = config.classes && config.classes[phase];
+        classes[phase] = (override || `${prefix}${phase}`).split(/\s+/).filter(Boolean);
+    });
+    return { ...config, classes };
+}
+
+/**
+ * Attaches a transition config to an element.
+ * @param {HTMLElement} element - The element.
+ * @param {object|string|boolean} config - See `normalizeTransition`.
+ * @returns {HTMLElement} The element.
+ */
+export function setTransition(element, config) {
+    if (element instanceof HTMLElement && config) element.__transition = normalizeTransition(config);
+    return element;
+}
+
+/**
+ * Returns true if the element has a transition attached.
+ * @param {Node} element
+ * @returns {boolean}
+ */
+export function hasTransition(element) {
+    return !!(element && element.__transition);
+}
+
+function dispatch(element, name, hook) {
+    const config = element.__transition;
+    if (typeof config[hook] === 'function') {
+        try { config[hook](element); } catch (e) {
+            if (window.devWarn) window.devWarn(`[transition.js] Error in ${hook}:`, e);
+        }
+    }
+    element.dispatchEvent(new CustomEvent(name));
+}
+
+function nextFrame(fn) {
+    requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+function parseTimes(value) {
+    return String(value || '').split(',').map(part => {
+        const seconds = parseFloat(part);
+        return isNaN(seconds) ? 0 : seconds * (part.trim().endsWith('ms') ? 1 : 1000);
+    });
+}
+
+/**
+ * Returns the longest transition/animation time (duration + delay) of an element in ms.
+ * @param {HTMLElement} element
+ * @returns {number}
+ */
+function getTimeout(element) {
+    if (typeof getComputedStyle !== 'function') return 0;
+    const styles = getComputedStyle(element);
+    let max = 0;
+    ['transition', 'animation'].forEach(type => {
+        const durations = parseTimes(styles[`${type}Duration`]);
+        const delays = parseTimes(styles[`${type}Delay`]);
+        durations.forEach((duration, i) => {
+            max = Math.max(max, duration + (delays[i % delays.length] || 0));
+        });
+    });
+    return max;
+}
+
+/**
+ * Calls `done` once the element's CSS transition or animation ends.
+ * @param {HTMLElement} element
+ * @param {Function} done
+ * @returns {Function} Cancels the wait without calling `done`.
+ */
+function whenTransitionEnds(element, done) {
+    const config = element.__transition;
+    const timeout = typeof config.duration === 'number' ? config.duration : getTimeout(element);
+    let finished = false;
+    let timer = null;
+    const onEnd = (event) => {
+        if (event && event.target !== element) return;
+        finish();
+    };
+    const cleanup = () => {
+        finished = true;
+        clearTimeout(timer);
+        element.removeEventListener('transitionend', onEnd);
+        element.removeEventListener('animationend', onEnd);
+    };
+    const finish = () => {
+        if (finished) return;
+        cleanup();
+        done();
+    };
+    if (timeout <= 0) {
+        nextFrame(finish);
+    } else {
+        element.addEventListener('transitionend', onEnd);
+        element.addEventListener('animationend', onEnd);
+        // Fallback in case the end event never fires (e.g. the property didn't change)
+        timer = setTimeout(finish, timeout + 50);
+    }
+    return cleanup;
+}
+
+/**
+ * Runs one transition phase (enter or leave) on an element.
+ * @param {HTMLElement} element
+ * @param {'enter'|'leave'} type
+ * @param {Function} [onDone]
+ */
+function runPhase(element, type, onDone) {
+    const config = element.__transition;
+    const { classes } = config;
+    const hookName = type === 'enter' ? 'Enter' : 'Leave';
+
+    // A new phase interrupts the one in progress
+    if (element.__transitionPhase) {
+        const interrupted = element.__transitionPhase;
+        cancelTransition(element);
+        dispatch(element, `${interrupted}-cancelled`, `on${interrupted === 'enter' ? 'Enter' : 'Leave'}Cancelled`);
+    }
+
+    let cancelled = false;
+    let stopWaiting = null;
+    const removeClasses = () => {
+        element.classList.remove(...classes[`${type}-from`], ...classes[`${type}-active`], ...classes[`${type}-to`]);
+    };
+    const finish = () => {
+        if (cancelled) return;
+        cancelled = true;
+        element.__transitionPhase = null;
+        element.__transitionCancel = null;
+        removeClasses();
+        if (onDone) onDone();
+        dispatch(element, `after-${type}`, `onAfter${hookName}`);
+    };
+    element.__transitionPhase = type;
+    element.__transitionCancel = () => {
+        cancelled = true;
+        if (stopWaiting) stopWaiting();
+        removeClasses();
+    };
+
+    dispatch(element, `before-${type}`, `onBefore${hookName}`);
+    element.classList.add(...classes[`${type}-from`], ...classes[`${type}-active`]);
+    const jsHook = config[`on${hookName}`];
+    const controlsDone = typeof jsHook === 'function' && jsHook.length >= 2;
+    if (typeof jsHook === 'function') jsHook(element, finish);
+    nextFrame(() => {
+        if (cancelled) return;
+        element.classList.remove(...classes[`${type}-from`]);
+        element.classList.add(...classes[`${type}-to`]);
+        if (!controlsDone) stopWaiting = whenTransitionEnds(element, finish);
+    });
+}
+
+/**
+ * Plays the enter transition of an element that was just inserted.
+ * Does nothing for elements without a transition or not in the document
+ * (e.g. the initial render), so only later insertions animate.
+ * @param {HTMLElement} element
+ */
+export function transitionEnter(element) {
+    if (!hasTransition(element) || !element.isConnected) return;
+    runPhase(element, 'enter');
+}
+
+/**
+ * Plays the leave transition of an element, then calls `remove`.
+ * Without a transition (or when detached), `remove` is called immediately.
+ * @param {HTMLElement} element
+ * @param {Function} remove - Removes the element from the DOM.
+ */
+export function transitionLeave(element, remove) {
+    if (!hasTransition(element) || !element.isConnected) {
+        remove();
+        return;
+    }
+    runPhase(element, 'leave', remove);
+}
+
+/**
+ * Cancels a running leave transition, e.g. when a leaving element is inserted again.
+ * @param {HTMLElement} element
+ */
+export function cancelTransition(element) {
+    if (element && element.__transitionCancel) {
+        const cancel = element.__transitionCancel;
+        element.__transitionPhase = null;
+        element.__transitionCancel = null;
+        cancel();
+    }
+}
+
+/**
+ * Shows or hides an element through `style.display`, playing the enter or leave
+ * transition when it has one.
+ * @param {HTMLElement} element
+ * @param {string} display - The display value; `'none'` hides.
+ */
+export function transitionDisplay(element, display) {
+    if (!hasTransition(element) || !element.isConnected) {
+        cancelTransition(element);
+        element.style.display = display;
+        return;
+    }
+    const phase = element.__transitionPhase;
+    const visible = phase ? phase === 'enter' : element.style.display !== 'none';
+    if (display === 'none') {
+        if (visible) runPhase(element, 'leave', () => { element.style.display = 'none'; });
+    } else {
+        element.style.display = display;
+        if (!visible) runPhase(element, 'enter');
+    }
+}
+
+/**
+ * Records the positions of elements with a transition before the DOM changes,
+ * for `playMoves`.
+ * @param {Array<Node>} nodes
+ * @returns {Map<HTMLElement, DOMRect>}
+ */
+export function recordPositions(nodes) {
+    const positions = new Map();
+    nodes.forEach(node => {
+        if (hasTransition(node) && node.isConnected && !node.__transitionPhase) {
+            positions.set(node, node.getBoundingClientRect());
+        }
+    });
+    return positions;
+}
+
+/**
+ * Animates elements from the positions recorded by `recordPositions` to their
+ * new ones (FLIP: first, last, invert, play).
+ * @param {Map<HTMLElement, DOMRect>} positions
+ */
+export function playMoves(positions) {
+    const moved = [];
+    positions.forEach((first, element) => {
+        if (!element.isConnected) return;
+        const last = element.getBoundingClientRect();
+        const dx = first.left - last.left;
+        const dy = first.top - last.top;
+        if (!dx && !dy) return;
+        element.style.transform = `translate(${dx}px, ${dy}px)`;
+        element.style.transitionDuration = '0s';
+        moved.push(element);
+    });
+    if (!moved.length) return;
+    // Force a reflow so the inverted positions apply before animating back
+    document.body.offsetHeight;
+    moved.forEach(element => {
+        const { classes } = element.__transition;
+        element.classList.add(...classes.move);
+        element.style.transform = '';
+        element.style.transitionDuration = '';
+        whenTransitionEnds(element, () => element.classList.remove(...classes.move));
+    });
+}